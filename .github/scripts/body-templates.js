@@ -0,0 +1,202 @@
+/**
+ * Issue Body Templates
+ *
+ * Issue bodies are rendered from markdown templates. The defaults ship in the
+ * body-templates directory next to this script; a repository can override the body of
+ * a single issue type by adding a template with the same name to
+ * .github/issue-body-templates (or the directory named by ISSUE_BODY_TEMPLATE_DIR).
+ *
+ * Templates use a small Handlebars-like syntax:
+ *   {{name}} / {{phase.name}}          insert a value
+ *   {{#if name}}...{{else}}...{{/if}}  conditional section (empty lists count as false)
+ *   {{#unless name}}...{{/unless}}     inverted conditional section
+ *   {{#each list}}...{{else}}...{{/each}}
+ *                                      loop (else when the list is empty); inside, {{this}}, {{@index}},
+ *                                      {{@number}} (1-based), {{@key}} (for objects), {{@first}} and
+ *                                      {{@last}} are available
+ *   {{! comment }}                     ignored
+ * Block tags on a line of their own do not leave a blank line behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, 'body-templates');
+const OVERRIDE_TEMPLATE_DIR = '.github/issue-body-templates';
+const OVERRIDE_TEMPLATE_DIR_VARIABLE = 'ISSUE_BODY_TEMPLATE_DIR';
+
+const TAG_PATTERN = /{{\s*([#/!]?)\s*([\s\S]*?)\s*}}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*({{\s*(?:[#/!][^}]*|else)\s*}})[ \t]*\r?\n/gm;
+
+/**
+ * Render the body template for an issue type, preferring a repository override
+ * @param {string} name - Template name (e.g. 'deployment-failure')
+ * @param {Object} data - Template variables
+ * @returns {string} Rendered markdown
+ */
+function renderBodyTemplate(name, data) {
+  const overridePath = path.join(process.env[OVERRIDE_TEMPLATE_DIR_VARIABLE] || OVERRIDE_TEMPLATE_DIR, `${name}.md`);
+
+  if (fs.existsSync(overridePath)) {
+    try {
+      const rendered = renderTemplate(fs.readFileSync(overridePath, 'utf8'), data);
+      console.log(`🧩 Rendered issue body from ${overridePath}`);
+      return rendered;
+    } catch (error) {
+      // A broken override must not prevent the issue from being filed
+      console.error(`Failed to render issue body template ${overridePath}, using the default:`, error.message);
+    }
+  }
+
+  return renderTemplate(fs.readFileSync(path.join(DEFAULT_TEMPLATE_DIR, `${name}.md`), 'utf8'), data);
+}
+
+/**
+ * Render a template string
+ * @param {string} template - Template source
+ * @param {Object} data - Template variables
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is malformed
+ */
+function renderTemplate(template, data) {
+  const tree = parseTemplate(template.replace(STANDALONE_TAG_PATTERN, '$1'));
+  return renderNodes(tree, [data], {});
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Parsed nodes
+ * @throws {Error} If blocks are unbalanced or unknown
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inverse || block.children;
+  };
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, sigil, expression] = match;
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (sigil === '!') continue;
+
+    if (sigil === '#') {
+      const [helper, ...args] = expression.split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(helper) || args.length !== 1) {
+        throw new Error(`Unknown block "${tag}"`);
+      }
+      const block = { type: helper, path: args[0], children: [], inverse: null };
+      current().push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      const block = stack.pop();
+      if (stack.length === 0 || block.type !== expression) {
+        throw new Error(`Unexpected closing tag "${tag}"`);
+      }
+    } else if (expression === 'else') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.inverse) {
+        throw new Error('Unexpected {{else}}');
+      }
+      block.inverse = [];
+    } else {
+      current().push({ type: 'variable', path: expression });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed block "{{#${stack[stack.length - 1].type} ${stack[stack.length - 1].path}}}"`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<*>} scopes - Scope chain, innermost last
+ * @param {Object} frame - Loop variables (@index, @number, @key, ...)
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, frame) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(node.path, scopes, frame);
+
+    if (node.type === 'variable') {
+      return value === undefined || value === null ? '' : String(value);
+    }
+
+    if (node.type === 'each') {
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+      if (entries.length === 0) {
+        return node.inverse ? renderNodes(node.inverse, scopes, frame) : '';
+      }
+
+      return entries.map(([key, item], index) => renderNodes(node.children, [...scopes, item], {
+        '@index': index,
+        '@number': index + 1,
+        '@key': key,
+        '@first': index === 0,
+        '@last': index === entries.length - 1
+      })).join('');
+    }
+
+    const truthy = isTruthy(value);
+    const branch = (node.type === 'if' ? truthy : !truthy) ? node.children : node.inverse;
+    return branch ? renderNodes(branch, scopes, frame) : '';
+  }).join('');
+}
+
+/**
+ * Resolve a dotted variable path against the scope chain
+ * @param {string} variablePath - Variable path (e.g. 'this', '@number', 'phase.name')
+ * @param {Array<*>} scopes - Scope chain, innermost last
+ * @param {Object} frame - Loop variables
+ * @returns {*} Resolved value (undefined if not found)
+ */
+function lookup(variablePath, scopes, frame) {
+  if (variablePath.startsWith('@')) return frame[variablePath];
+
+  const [head, ...rest] = variablePath.split('.');
+  let value;
+  if (head === 'this') {
+    value = scopes[scopes.length - 1];
+  } else {
+    const scope = [...scopes].reverse().find(candidate => candidate !== null && typeof candidate === 'object' && head in candidate);
+    value = scope ? scope[head] : undefined;
+  }
+
+  return rest.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+/**
+ * Determine whether a value enables a conditional section
+ * @param {*} value - Value to test
+ * @returns {boolean} False for empty values and empty lists
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_DIR,
+  OVERRIDE_TEMPLATE_DIR,
+  renderBodyTemplate,
+  renderTemplate
+};
@@ -0,0 +1,282 @@
+/**
+ * Change Attribution
+ *
+ * Works out which change a failure most likely comes from. On scheduled or push-triggered
+ * runs the actor is rarely the person whose change broke the run, so the failing commit
+ * is resolved to its pull request and author, and the commits since the last successful
+ * run of the same workflow on the same branch are listed as suspects. The pull request
+ * can be told about the failure issue with a comment, so its author finds out.
+ *
+ * Needs `contents: read` and `pull-requests: read` (and `actions: read` for the last
+ * successful run); parts that cannot be read are left out of the attribution.
+ */
+
+const { githubRequest, paginateRequest } = require('./github-request.js');
+
+const DEFAULT_MAX_COMMITS = 20;
+
+// Successful runs of the workflow looked at to find the last one before the current run
+const RECENT_RUNS_CHECKED = 20;
+
+// Hidden marker identifying the comment that links a pull request to a failure issue
+const FAILURE_LINK_MARKER = issueNumber => `<!-- issue-manager:failure-link #${issueNumber} -->`;
+
+/**
+ * Attribute a failure to the pull request, author and commits that led to it
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} options - Attribution options
+ * @param {string} options.commit - Failing commit SHA (optional, defaults to the run's commit)
+ * @param {number} options.runId - Failing workflow run (optional, defaults to the current run)
+ * @param {number} options.maxCommits - Number of commits to list (optional)
+ * @returns {Promise<Object|null>} Attribution with commit, commitUrl, author, pullRequest, lastSuccessfulRun,
+ *   commits (newest first), totalCommits and compareUrl (null where unknown); null if nothing could be read
+ */
+async function getChangeAttribution(github, context, options = {}) {
+  const { commit = context.sha, runId = context.runId, maxCommits = DEFAULT_MAX_COMMITS } = options;
+
+  if (!commit || !github.rest.repos) {
+    return null;
+  }
+
+  const pullRequest = await attempt(`find the pull request of ${commit}`, () => findPullRequest(github, context, commit));
+  const author = await attempt(`read commit ${commit}`, () => getCommitAuthor(github, context, commit));
+  const lastSuccessfulRun = await attempt('find the last successful run', () => findLastSuccessfulRun(github, context, runId));
+  const comparison = lastSuccessfulRun
+    ? await attempt(`compare ${lastSuccessfulRun.headSha} with ${commit}`, () =>
+      compareCommits(github, context, lastSuccessfulRun.headSha, commit, maxCommits))
+    : null;
+
+  if (!pullRequest && !author && !lastSuccessfulRun) {
+    return null;
+  }
+
+  console.log(`🕵️ Attributed failure of ${commit.slice(0, 7)}${pullRequest ? ` to #${pullRequest.number}` : ''}` +
+    `${comparison ? ` (${comparison.totalCommits} commits since the last successful run)` : ''}`);
+
+  return {
+    commit,
+    commitUrl: `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/commit/${commit}`,
+    author,
+    pullRequest,
+    lastSuccessfulRun,
+    commits: comparison ? comparison.commits : [],
+    totalCommits: comparison ? comparison.totalCommits : null,
+    compareUrl: comparison ? comparison.compareUrl : null
+  };
+}
+
+/**
+ * Comment on a pull request with a link to the failure issue it may have caused
+ *
+ * The comment carries a marker for the issue, so a failure that recurs is linked only once.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} pullRequest - Pull request (see getChangeAttribution)
+ * @param {Object} issue - Failure issue
+ * @param {Object} details - Failure details
+ * @param {string} details.summary - What failed (e.g. 'Deployment to dev')
+ * @param {string} details.workflowRun - Workflow run URL (optional)
+ * @returns {Promise<boolean>} True if a comment was posted
+ */
+async function linkPullRequestToIssue(github, context, pullRequest, issue, details) {
+  const { summary, workflowRun = null } = details;
+  const marker = FAILURE_LINK_MARKER(issue.number);
+  // Pull requests of deleted accounts have no author to mention
+  const mention = pullRequest.author ? `@${pullRequest.author}, this` : 'This';
+
+  try {
+    const comments = await paginateRequest(
+      `List comments on pull request #${pullRequest.number}`,
+      github.rest.issues.listComments,
+      { owner: context.repo.owner, repo: context.repo.repo, issue_number: pullRequest.number }
+    );
+    if (comments.some(comment => (comment.body || '').includes(marker))) {
+      console.log(`⏭️ Pull request #${pullRequest.number} already links to issue #${issue.number}`);
+      return false;
+    }
+
+    await githubRequest(`Comment on pull request #${pullRequest.number}`, () =>
+      github.rest.issues.createComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: pullRequest.number,
+        body: `💥 **${summary} failed after this change**
+
+${mention} pull request is among the changes since the last successful run. See #${issue.number} for the failure details.
+${workflowRun ? `\n**Workflow Run:** ${workflowRun}\n` : ''}
+_This comment was posted by the issue management system._
+
+${marker}`
+      })
+    );
+
+    console.log(`🔗 Linked pull request #${pullRequest.number} to issue #${issue.number}`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to comment on pull request #${pullRequest.number}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Find the pull request a commit belongs to
+ *
+ * On pull_request events the run's own pull request is used, since the commit is a
+ * temporary merge commit. Otherwise a merged pull request is preferred over open ones.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} commit - Commit SHA
+ * @returns {Promise<Object|null>} Pull request with number, title, url and author (null if none)
+ */
+async function findPullRequest(github, context, commit) {
+  const eventPullRequest = context.payload && context.payload.pull_request;
+  if (eventPullRequest) {
+    return describePullRequest(eventPullRequest);
+  }
+
+  const response = await githubRequest(`List pull requests of commit ${commit}`, () =>
+    github.rest.repos.listPullRequestsAssociatedWithCommit({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      commit_sha: commit
+    })
+  );
+
+  const pullRequests = response.data || [];
+  const pullRequest = pullRequests.find(candidate => candidate.merged_at) || pullRequests[0];
+  return pullRequest ? describePullRequest(pullRequest) : null;
+}
+
+/**
+ * Read who authored a commit
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} commit - Commit SHA
+ * @returns {Promise<string|null>} GitHub login, or the git author name for unknown users
+ */
+async function getCommitAuthor(github, context, commit) {
+  const response = await githubRequest(`Get commit ${commit}`, () =>
+    github.rest.repos.getCommit({ owner: context.repo.owner, repo: context.repo.repo, ref: commit })
+  );
+  return describeCommit(response.data).author;
+}
+
+/**
+ * Find the last successful run of the current workflow on the same branch before the given run
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {number} runId - Failing workflow run
+ * @returns {Promise<Object|null>} Run with id, runNumber, url and headSha (null if there is none)
+ */
+async function findLastSuccessfulRun(github, context, runId) {
+  if (!runId || !github.rest.actions) {
+    return null;
+  }
+
+  const { data: run } = await githubRequest(`Get workflow run ${runId}`, () =>
+    github.rest.actions.getWorkflowRun({ owner: context.repo.owner, repo: context.repo.repo, run_id: runId })
+  );
+
+  const response = await githubRequest(`List successful runs of workflow ${run.workflow_id}`, () =>
+    github.rest.actions.listWorkflowRuns({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      workflow_id: run.workflow_id,
+      branch: run.head_branch,
+      status: 'success',
+      per_page: RECENT_RUNS_CHECKED
+    })
+  );
+
+  const lastRun = (response.data.workflow_runs || [])
+    .find(candidate => candidate.id !== run.id && candidate.created_at < run.created_at);
+  return lastRun
+    ? { id: lastRun.id, runNumber: lastRun.run_number, url: lastRun.html_url, headSha: lastRun.head_sha }
+    : null;
+}
+
+/**
+ * List the commits between two revisions
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} base - Base commit SHA (last good revision)
+ * @param {string} head - Head commit SHA (failing revision)
+ * @param {number} maxCommits - Number of commits to return
+ * @returns {Promise<Object>} { commits (newest first), totalCommits, compareUrl }
+ */
+async function compareCommits(github, context, base, head, maxCommits) {
+  if (base === head) {
+    return { commits: [], totalCommits: 0, compareUrl: null };
+  }
+
+  const response = await githubRequest(`Compare ${base}...${head}`, () =>
+    github.rest.repos.compareCommitsWithBasehead({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      basehead: `${base}...${head}`
+    })
+  );
+
+  return {
+    commits: (response.data.commits || []).slice(-maxCommits).reverse().map(describeCommit),
+    totalCommits: response.data.total_commits,
+    compareUrl: response.data.html_url
+  };
+}
+
+/**
+ * Reduce a pull request to the fields shown in failure issues
+ * @param {Object} pullRequest - Pull request from the API or event payload
+ * @returns {Object} Pull request with number, title, url, author and merged flag
+ */
+function describePullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    title: pullRequest.title,
+    url: pullRequest.html_url,
+    author: pullRequest.user ? pullRequest.user.login : null,
+    merged: Boolean(pullRequest.merged_at)
+  };
+}
+
+/**
+ * Reduce a commit to the fields shown in failure issues
+ * @param {Object} commit - Commit from the API
+ * @returns {Object} Commit with sha, shortSha, url, author and the first line of the message
+ */
+function describeCommit(commit) {
+  const gitAuthor = (commit.commit && commit.commit.author) || {};
+  const message = ((commit.commit && commit.commit.message) || '').split('\n')[0];
+
+  return {
+    sha: commit.sha,
+    shortSha: commit.sha.slice(0, 7),
+    url: commit.html_url,
+    author: commit.author ? commit.author.login : gitAuthor.name || null,
+    // Messages are shown in a table, and handles in them would notify people from every failure issue
+    message: message.replace(/\|/g, '\\|').replace(/@/g, '@\u200b')
+  };
+}
+
+/**
+ * Run one part of the attribution, logging instead of failing
+ * @param {string} description - What is being read, for the log
+ * @param {Function} fn - Async function reading the part
+ * @returns {Promise<*>} Result of fn, or null if it failed
+ */
+async function attempt(description, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`Failed to ${description}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getChangeAttribution,
+  linkPullRequestToIssue
+};
@@ -0,0 +1,285 @@
+/**
+ * Flakiness Detection
+ *
+ * Records the pass/fail outcome of every run per issue fingerprint (a template, an
+ * environment's deployment, ...) in a single history issue, because managed issues are
+ * overwritten and closed as runs fail and recover. From the last runs of a subject the
+ * flip rate — the share of consecutive runs whose outcome changed — tells intermittent
+ * failures apart from real breakages: a subject that keeps alternating between passing
+ * and failing is flaky, one that fails every run is broken.
+ *
+ * Outcomes are keyed by workflow run and attempt, so the same run is counted once no
+ * matter how many handlers report it, while a re-run counts as a new run. Issues cannot
+ * be updated conditionally, so two runs finishing at the same moment can overwrite each
+ * other's outcomes; every write is therefore read back after a short wait, and the
+ * outcomes another run overwrote are merged into its history and written again.
+ */
+
+const { githubRequest, paginateRequest } = require('./github-request.js');
+const { ensureLabels } = require('./label-registry.js');
+const { MAX_BODY_LENGTH } = require('./issue-sanitizer.js');
+
+const HISTORY_ISSUE_TITLE = 'Issue Manager: Run Outcome History';
+const HISTORY_LABEL = 'outcome-history';
+const HISTORY_MARKER_PATTERN = /<!-- issue-manager:outcomes (\{.*?\}) -->/s;
+
+// Outcome characters stored in a subject's history, oldest first
+const PASS = 'P';
+const FAIL = 'F';
+
+// Number of run keys kept per subject to recognize a run that was already recorded
+const MAX_RECORDED_RUNS = 5;
+
+// Writes of the same outcomes before giving up on a history other runs keep overwriting
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Wait before reading a write back, long enough for a concurrent run to finish its own write
+const WRITE_SETTLE_MS = 1000;
+
+// Outside a workflow every process counts as one run
+const LOCAL_RUN_KEY = `local.${process.pid}.${Date.now().toString(36)}`;
+
+/**
+ * Record run outcomes in the history issue and assess the flakiness of their subjects
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array<Object>} outcomes - Outcomes with fingerprint, passed flag and subject (a display name, optional)
+ * @param {Object} settings - Flakiness settings (see loadIssueSettings)
+ * @returns {Promise<Object|null>} Assessments keyed by fingerprint (see assessOutcomes), or null if the
+ *   history could not be read or written
+ */
+async function recordOutcomes(github, context, outcomes, settings) {
+  try {
+    const runKey = getRunKey(context);
+    let history;
+
+    for (let attempt = 0; ; attempt++) {
+      const historyIssue = await findHistoryIssue(github, context);
+      history = parseOutcomeHistory(historyIssue ? historyIssue.body : '');
+
+      // Several handlers of one run report the same subject; only the first report counts
+      const pending = outcomes.filter(outcome => {
+        const subject = history.subjects[outcome.fingerprint];
+        return !subject || !subject.runs.includes(runKey);
+      });
+      if (pending.length === 0) break;
+
+      if (attempt === MAX_WRITE_ATTEMPTS) {
+        console.warn(`⚠️ ${pending.length} run outcomes were overwritten by concurrent runs ${MAX_WRITE_ATTEMPTS} times, giving up`);
+        break;
+      }
+      if (attempt > 0) {
+        console.log(`🔁 ${pending.length} run outcomes were overwritten by a concurrent run, recording them again`);
+      }
+
+      const now = new Date();
+      for (const outcome of pending) {
+        const subject = history.subjects[outcome.fingerprint] || { outcomes: '', runs: [] };
+        history.subjects[outcome.fingerprint] = {
+          ...subject,
+          subject: outcome.subject || subject.subject || null,
+          outcomes: `${subject.outcomes}${outcome.passed ? PASS : FAIL}`.slice(-settings.windowSize),
+          runs: [...subject.runs, runKey].slice(-MAX_RECORDED_RUNS),
+          updatedAt: now.toISOString()
+        };
+      }
+
+      pruneOutcomeHistory(history, settings, now);
+      await writeHistoryIssue(github, context, historyIssue, history, settings);
+      console.log(`🎲 Recorded ${pending.length} run outcomes in the outcome history`);
+      await new Promise(resolve => setTimeout(resolve, WRITE_SETTLE_MS));
+    }
+
+    return Object.fromEntries(outcomes.map(outcome => {
+      const subject = history.subjects[outcome.fingerprint];
+      return [outcome.fingerprint, assessOutcomes(subject ? subject.outcomes : '', settings)];
+    }));
+  } catch (error) {
+    // A missing history must never prevent an issue from being filed or resolved
+    console.error('Failed to record run outcomes:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Assess the flakiness of a subject from its recent outcomes
+ * @param {string} outcomes - Outcome characters, oldest first ('P' for pass, 'F' for failure)
+ * @param {Object} settings - Flakiness settings with minRuns and flipRateThreshold
+ * @returns {Object} Assessment with runs, failures, flips, flipRate (0-1), consecutiveFailures (at the
+ *   end of the history) and flaky flag
+ */
+function assessOutcomes(outcomes, settings) {
+  const runs = outcomes.length;
+  const failures = [...outcomes].filter(outcome => outcome === FAIL).length;
+  const flips = [...outcomes].filter((outcome, index) => index > 0 && outcome !== outcomes[index - 1]).length;
+  const flipRate = runs > 1 ? flips / (runs - 1) : 0;
+  const consecutiveFailures = runs - outcomes.replace(/F+$/, '').length;
+
+  return {
+    runs,
+    failures,
+    flips,
+    flipRate,
+    consecutiveFailures,
+    flaky: runs >= settings.minRuns && failures > 0 && failures < runs && flipRate >= settings.flipRateThreshold
+  };
+}
+
+/**
+ * Format a flip rate for display
+ * @param {Object} assessment - Assessment (see assessOutcomes)
+ * @returns {string} Description such as '32% (6 flips in the last 20 runs, 4 failures)'
+ */
+function formatFlipRate(assessment) {
+  const { flipRate, flips, runs, failures } = assessment;
+  return `${Math.round(flipRate * 100)}% (${flips} flips in the last ${runs} runs, ${failures} failures)`;
+}
+
+/**
+ * Find the history issue, open or closed
+ *
+ * Every issue with the history label is checked, so other issues carrying the label cannot
+ * hide it. Should two runs have created a history issue at once, the oldest one is used.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Object|null>} History issue (null if it does not exist yet)
+ */
+async function findHistoryIssue(github, context) {
+  // The issue list is read instead of search so an outcome written moments ago is never missed
+  const issues = await paginateRequest(
+    'List outcome history issues',
+    github.rest.issues.listForRepo,
+    {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      labels: HISTORY_LABEL,
+      state: 'all',
+      sort: 'created',
+      direction: 'asc'
+    }
+  );
+
+  return issues.find(issue => !issue.pull_request && HISTORY_MARKER_PATTERN.test(issue.body || '')) || null;
+}
+
+/**
+ * Read the outcome history from the history issue body
+ * @param {string} body - History issue body
+ * @returns {Object} History with subjects keyed by fingerprint (empty if the body has no valid marker)
+ */
+function parseOutcomeHistory(body) {
+  const match = (body || '').match(HISTORY_MARKER_PATTERN);
+  if (match) {
+    try {
+      const history = JSON.parse(match[1]);
+      return { subjects: history.subjects || {} };
+    } catch (error) {
+      console.warn('Ignoring malformed outcome history marker:', error.message);
+    }
+  }
+  return { subjects: {} };
+}
+
+/**
+ * Drop subjects without a run in the retention period, then the least recently run subjects
+ * until the history fits into an issue body
+ * @param {Object} history - Outcome history (changed in place)
+ * @param {Object} settings - Flakiness settings with retentionDays and windowSize
+ * @param {Date} now - Reference time
+ */
+function pruneOutcomeHistory(history, settings, now) {
+  const cutoff = now.getTime() - settings.retentionDays * 24 * 60 * 60 * 1000;
+  for (const [fingerprint, subject] of Object.entries(history.subjects)) {
+    if (Date.parse(subject.updatedAt) < cutoff) delete history.subjects[fingerprint];
+  }
+
+  const byAge = Object.keys(history.subjects)
+    .sort((a, b) => history.subjects[a].updatedAt.localeCompare(history.subjects[b].updatedAt));
+  while (byAge.length > 0 && renderHistoryBody(history, settings).length > MAX_BODY_LENGTH) {
+    delete history.subjects[byAge.shift()];
+  }
+}
+
+/**
+ * Create or update the history issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object|null} historyIssue - Existing history issue (null to create it)
+ * @param {Object} history - Outcome history to store
+ * @param {Object} settings - Flakiness settings
+ * @returns {Promise<void>}
+ */
+async function writeHistoryIssue(github, context, historyIssue, history, settings) {
+  const body = renderHistoryBody(history, settings);
+
+  if (historyIssue) {
+    await githubRequest(`Update outcome history issue #${historyIssue.number}`, () =>
+      github.rest.issues.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: historyIssue.number,
+        body
+      })
+    );
+    return;
+  }
+
+  await ensureLabels(github, context, [HISTORY_LABEL]);
+  const created = await githubRequest('Create outcome history issue', () =>
+    github.rest.issues.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      title: HISTORY_ISSUE_TITLE,
+      body,
+      labels: [HISTORY_LABEL]
+    })
+  );
+  console.log(`📋 Created outcome history issue #${created.data.number}`);
+}
+
+/**
+ * Render the history issue body: a table of the subjects that failed recently, and the marker
+ * @param {Object} history - Outcome history
+ * @param {Object} settings - Flakiness settings
+ * @returns {string} Issue body
+ */
+function renderHistoryBody(history, settings) {
+  const symbols = outcomes => [...outcomes].map(outcome => (outcome === PASS ? '✅' : '❌')).join('');
+  const rows = Object.values(history.subjects)
+    .filter(subject => subject.outcomes.includes(FAIL))
+    .map(subject => ({ ...subject, assessment: assessOutcomes(subject.outcomes, settings) }))
+    .sort((a, b) => b.assessment.flipRate - a.assessment.flipRate || b.assessment.failures - a.assessment.failures)
+    .map(({ subject, outcomes, updatedAt, assessment }) =>
+      `| ${(subject || 'unknown').replace(/\|/g, '\\|')} | ${symbols(outcomes)} | ${assessment.failures}/${assessment.runs} | ${Math.round(assessment.flipRate * 100)}% | ${assessment.flaky ? '🎲 yes' : 'no'} | ${updatedAt} |`);
+
+  return `## Run Outcome History
+
+Pass/fail outcomes of the last ${settings.windowSize} runs of every template and environment the issue manager tracks, oldest first. A subject is flaky once it has at least ${settings.minRuns} runs and ${Math.round(settings.flipRateThreshold * 100)}% or more of its consecutive runs changed outcome; a single failure of a flaky subject is filed without a priority label.
+
+${rows.length > 0
+    ? `| Subject | Recent Runs | Failures | Flip Rate | Flaky | Last Run |
+|---------|-------------|----------|-----------|-------|----------|
+${rows.join('\n')}`
+    : '_No failures in the recorded runs._'}
+
+_This issue is maintained by the issue management system; it may be closed, but do not edit the marker below._
+
+<!-- issue-manager:outcomes ${JSON.stringify(history)} -->`;
+}
+
+/**
+ * Build the key identifying the current run attempt
+ * @param {Object} context - GitHub context
+ * @returns {string} Run ID and attempt, or a key for this process when running outside a workflow
+ */
+function getRunKey(context) {
+  return context.runId ? `${context.runId}.${context.runAttempt || 1}` : LOCAL_RUN_KEY;
+}
+
+module.exports = {
+  recordOutcomes,
+  assessOutcomes,
+  formatFlipRate,
+  parseOutcomeHistory
+};
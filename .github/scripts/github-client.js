@@ -0,0 +1,174 @@
+/**
+ * GitHub Client for Local Use
+ *
+ * Builds the `github` client and `context` objects that actions/github-script injects,
+ * so the issue management scripts can run from a terminal or a shell script. The client
+ * covers the REST endpoints the scripts use, with the same method names, parameters,
+ * response shape ({ status, headers, data }) and error properties (status, response) as
+ * Octokit, which keeps the retry handling in github-request.js working unchanged.
+ */
+
+const { execSync } = require('child_process');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_SERVER_URL = 'https://github.com';
+
+// Endpoints available on the client, as namespace.method: [HTTP method, route]
+const ROUTES = {
+  issues: {
+    listForRepo: ['GET', '/repos/{owner}/{repo}/issues'],
+    create: ['POST', '/repos/{owner}/{repo}/issues'],
+    update: ['PATCH', '/repos/{owner}/{repo}/issues/{issue_number}'],
+    createComment: ['POST', '/repos/{owner}/{repo}/issues/{issue_number}/comments'],
+    listComments: ['GET', '/repos/{owner}/{repo}/issues/{issue_number}/comments'],
+    getLabel: ['GET', '/repos/{owner}/{repo}/labels/{name}'],
+    createLabel: ['POST', '/repos/{owner}/{repo}/labels'],
+    updateLabel: ['PATCH', '/repos/{owner}/{repo}/labels/{name}']
+  },
+  search: {
+    issuesAndPullRequests: ['GET', '/search/issues']
+  },
+  actions: {
+    listJobsForWorkflowRun: ['GET', '/repos/{owner}/{repo}/actions/runs/{run_id}/jobs'],
+    downloadJobLogsForWorkflowRun: ['GET', '/repos/{owner}/{repo}/actions/jobs/{job_id}/logs'],
+    getWorkflowRun: ['GET', '/repos/{owner}/{repo}/actions/runs/{run_id}'],
+    listWorkflowRuns: ['GET', '/repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs']
+  },
+  repos: {
+    getCommit: ['GET', '/repos/{owner}/{repo}/commits/{ref}'],
+    listPullRequestsAssociatedWithCommit: ['GET', '/repos/{owner}/{repo}/commits/{commit_sha}/pulls'],
+    compareCommitsWithBasehead: ['GET', '/repos/{owner}/{repo}/compare/{basehead}']
+  }
+};
+
+/**
+ * Create a GitHub REST client
+ * @param {Object} options - Client options
+ * @param {string} options.token - Token used to authenticate
+ * @param {string} options.apiUrl - REST API base URL (optional, defaults to api.github.com)
+ * @returns {Object} Client exposing rest.issues.*, rest.search.*, rest.actions.* and rest.repos.* methods
+ */
+function createGitHubClient(options) {
+  const { token, apiUrl = DEFAULT_API_URL } = options;
+
+  const rest = {};
+  for (const [namespace, methods] of Object.entries(ROUTES)) {
+    rest[namespace] = {};
+    for (const [name, [method, route]] of Object.entries(methods)) {
+      rest[namespace][name] = params => request(apiUrl, token, method, route, params);
+    }
+  }
+
+  return { rest };
+}
+
+/**
+ * Build the workflow context from environment variables
+ *
+ * GITHUB_REPOSITORY (owner/name) is required. GITHUB_SHA and GITHUB_ACTOR fall back to
+ * the checked-out commit and the local user; GITHUB_RUN_ID is only set inside a workflow.
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Context with repo, serverUrl, runId, runAttempt, sha, actor, workflow and job
+ * @throws {Error} If GITHUB_REPOSITORY is missing or malformed
+ */
+function createContextFromEnv(env = process.env) {
+  const [owner, repo, ...rest] = (env.GITHUB_REPOSITORY || '').split('/');
+  if (!owner || !repo || rest.length > 0) {
+    throw new Error('GITHUB_REPOSITORY must be set to owner/repository');
+  }
+
+  return {
+    repo: { owner, repo },
+    serverUrl: env.GITHUB_SERVER_URL || DEFAULT_SERVER_URL,
+    runId: env.GITHUB_RUN_ID ? Number(env.GITHUB_RUN_ID) : null,
+    runAttempt: env.GITHUB_RUN_ATTEMPT ? Number(env.GITHUB_RUN_ATTEMPT) : null,
+    sha: env.GITHUB_SHA || getLocalCommit(),
+    actor: env.GITHUB_ACTOR || env.USER || 'unknown',
+    workflow: env.GITHUB_WORKFLOW || 'local',
+    job: env.GITHUB_JOB || 'local'
+  };
+}
+
+/**
+ * Send a REST API request
+ * @param {string} apiUrl - REST API base URL
+ * @param {string} token - Token used to authenticate
+ * @param {string} method - HTTP method
+ * @param {string} route - Route with {placeholders} for path parameters
+ * @param {Object} params - Path, query and body parameters
+ * @returns {Promise<Object>} Response with status, headers and data
+ * @throws {Error} With status and response properties if the request fails
+ */
+async function request(apiUrl, token, method, route, params = {}) {
+  const remaining = { ...params };
+  const path = route.replace(/{(\w+)}/g, (match, key) => {
+    const value = remaining[key];
+    delete remaining[key];
+    return encodeURIComponent(value);
+  });
+
+  const defined = Object.entries(remaining).filter(([, value]) => value !== undefined);
+  const url = new URL(`${apiUrl.replace(/\/+$/, '')}${path}`);
+  let body;
+  if (method === 'GET') {
+    defined.forEach(([key, value]) => url.searchParams.set(key, value));
+  } else {
+    body = JSON.stringify(Object.fromEntries(defined));
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'issue-manager-cli',
+      'X-GitHub-Api-Version': '2022-11-28'
+    },
+    body
+  });
+
+  const headers = Object.fromEntries(response.headers.entries());
+  const text = await response.text();
+  const data = text ? parseJson(text) : null;
+
+  if (!response.ok) {
+    const error = new Error(`${method} ${path}: ${(data && data.message) || response.statusText} (HTTP ${response.status})`);
+    error.status = response.status;
+    error.response = { status: response.status, headers, data };
+    throw error;
+  }
+
+  return { status: response.status, headers, data };
+}
+
+/**
+ * Parse a JSON response body, keeping non-JSON bodies as text
+ * @param {string} text - Response body
+ * @returns {*} Parsed body
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Read the commit checked out in the current directory
+ * @returns {string|null} Commit SHA (null outside a git repository)
+ */
+function getLocalCommit() {
+  try {
+    return execSync('git rev-parse HEAD', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  createGitHubClient,
+  createContextFromEnv
+};
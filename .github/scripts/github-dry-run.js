@@ -0,0 +1,314 @@
+/**
+ * Dry-Run GitHub Client
+ *
+ * Wraps a `github` client (real or in-memory) so the issue manager can be previewed
+ * without changing anything. Reads, including the Actions and commit APIs, are passed through;
+ * writes (issue creates, updates, closes, comments and label changes) are recorded
+ * instead of sent, and their effect is overlaid on later reads so a handler sees a
+ * consistent repository for the whole run.
+ * The recorded operations and the resulting issues can be written to a markdown or JSON
+ * report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSearchQuery, matchesSearchQuery } = require('./github-memory.js');
+
+// Simulated issues are numbered from here so they cannot be mistaken for real ones
+const FIRST_SIMULATED_ISSUE_NUMBER = 1000000;
+
+/**
+ * Create a dry-run client around another client
+ * @param {Object} github - GitHub client whose reads are used
+ * @returns {Object} Client exposing the same rest methods, plus operations and getResultingIssues()
+ */
+function createDryRunGitHub(github) {
+  const operations = [];
+  const seenIssues = new Map();
+  const touchedIssues = new Map();
+  const newComments = {};
+  let nextIssueNumber = FIRST_SIMULATED_ISSUE_NUMBER;
+  let nextCommentId = 1;
+
+  const record = (type, method, params, details = {}) => {
+    const { owner, repo, ...rest } = params || {};
+    operations.push({ index: operations.length + 1, type, method, params: rest, ...details });
+  };
+
+  // Remember issues as read, and apply recorded changes to issues coming back from the wrapped client
+  const remember = items => items.forEach(issue => seenIssues.set(issue.number, issue));
+  const overlay = issue => (touchedIssues.has(issue.number) ? clone(touchedIssues.get(issue.number)) : issue);
+  const knownIssue = number =>
+    touchedIssues.get(number) || seenIssues.get(number) || { number, labels: [], assignees: [] };
+
+  const issues = {
+    listForRepo: async (params) => {
+      const response = await github.rest.issues.listForRepo(params);
+      remember(response.data);
+
+      const required = params.labels ? params.labels.split(',') : [];
+      const matches = issue =>
+        (params.state === 'all' || issue.state === (params.state || 'open')) &&
+        required.every(label => issue.labels.some(candidate => labelName(candidate) === label));
+      const data = withSimulatedIssues(response.data.map(overlay).filter(matches), matches, params);
+      record('list', 'issues.listForRepo', params, { results: data.length });
+      return { ...response, data };
+    },
+
+    create: async (params) => {
+      const now = new Date().toISOString();
+      const issue = {
+        number: nextIssueNumber++,
+        title: params.title,
+        body: params.body || '',
+        state: 'open',
+        labels: (params.labels || []).map(label => ({ name: labelName(label) })),
+        assignees: (params.assignees || []).map(login => ({ login })),
+        html_url: null,
+        created_at: now,
+        updated_at: now,
+        comments: 0,
+        simulated: true
+      };
+      touchedIssues.set(issue.number, issue);
+      record('create', 'issues.create', params, { issueNumber: issue.number });
+      return { status: 201, headers: {}, data: clone(issue) };
+    },
+
+    update: async (params) => {
+      const issue = clone(knownIssue(params.issue_number));
+      const closing = params.state === 'closed' && issue.state !== 'closed';
+      const reopening = params.state === 'open' && issue.state === 'closed';
+
+      for (const field of ['title', 'body', 'state', 'state_reason']) {
+        if (params[field] !== undefined) issue[field] = params[field];
+      }
+      if (params.labels !== undefined) issue.labels = params.labels.map(label => ({ name: labelName(label) }));
+      if (params.assignees !== undefined) issue.assignees = params.assignees.map(login => ({ login }));
+      issue.updated_at = new Date().toISOString();
+      touchedIssues.set(issue.number, issue);
+
+      record(closing ? 'close' : reopening ? 'reopen' : 'update', 'issues.update', params, { issueNumber: issue.number });
+      return { status: 200, headers: {}, data: clone(issue) };
+    },
+
+    createComment: async (params) => {
+      const comment = { id: nextCommentId++, body: params.body, user: { login: 'github-actions[bot]', type: 'Bot' } };
+      (newComments[params.issue_number] = newComments[params.issue_number] || []).push(comment);
+      record('comment', 'issues.createComment', params, { issueNumber: params.issue_number });
+      return { status: 201, headers: {}, data: comment };
+    },
+
+    listComments: async (params) => {
+      const existing = params.issue_number >= FIRST_SIMULATED_ISSUE_NUMBER
+        ? []
+        : (await github.rest.issues.listComments(params)).data;
+      const added = (params.page || 1) === 1 ? newComments[params.issue_number] || [] : [];
+      record('list', 'issues.listComments', params, { issueNumber: params.issue_number, results: existing.length + added.length });
+      return { status: 200, headers: {}, data: [...existing, ...added] };
+    },
+
+    getLabel: async (params) => {
+      record('read', 'issues.getLabel', params);
+      return await github.rest.issues.getLabel(params);
+    },
+
+    createLabel: async (params) => {
+      record('label', 'issues.createLabel', params);
+      return { status: 201, headers: {}, data: { name: params.name, color: params.color, description: params.description } };
+    },
+
+    updateLabel: async (params) => {
+      record('label', 'issues.updateLabel', params);
+      return { status: 200, headers: {}, data: { name: params.name, color: params.color, description: params.description } };
+    }
+  };
+
+  const search = {
+    issuesAndPullRequests: async (params) => {
+      const response = await github.rest.search.issuesAndPullRequests(params);
+      remember(response.data.items);
+
+      const query = parseSearchQuery(params.q);
+      const matches = issue => matchesSearchQuery(issue, query);
+      const items = withSimulatedIssues(response.data.items.map(overlay).filter(matches), matches, params);
+      const totalCount = Math.max(0, response.data.total_count + items.length - response.data.items.length);
+      record('search', 'search.issuesAndPullRequests', params, { results: totalCount });
+      return { ...response, data: { ...response.data, total_count: totalCount, items } };
+    }
+  };
+
+  // The Actions and repository endpoints used by the issue manager only read
+  const readOnly = {};
+  for (const namespace of ['actions', 'repos']) {
+    if (!github.rest[namespace]) continue;
+    readOnly[namespace] = Object.fromEntries(Object.entries(github.rest[namespace]).map(([name, method]) => [
+      name,
+      async (params) => {
+        record('read', `${namespace}.${name}`, params);
+        return await method(params);
+      }
+    ]));
+  }
+
+  /**
+   * Add simulated issues matching a read to its first page
+   * @param {Array<Object>} items - Issues returned by the wrapped client, with overlays applied
+   * @param {Function} matches - Predicate selecting the issues the read asks for
+   * @param {Object} params - Read parameters
+   * @returns {Array<Object>} Items including matching simulated issues
+   */
+  function withSimulatedIssues(items, matches, params) {
+    if ((params.page || 1) !== 1) return items;
+    const simulated = [...touchedIssues.values()].filter(issue => issue.simulated && matches(issue));
+    return [...items, ...simulated.map(clone)];
+  }
+
+  return {
+    rest: { issues, search, ...readOnly },
+    operations,
+    dryRun: true,
+
+    /**
+     * List the issues created or changed during the run, with the comments added to them
+     * @returns {Array<Object>} Issues in their resulting state
+     */
+    getResultingIssues() {
+      const numbers = new Set([...touchedIssues.keys(), ...Object.keys(newComments).map(Number)]);
+      return [...numbers].sort((a, b) => a - b).map(number => ({
+        ...clone(knownIssue(number)),
+        newComments: (newComments[number] || []).map(comment => comment.body)
+      }));
+    }
+  };
+}
+
+/**
+ * Write the operations and resulting issues of a dry run to a file
+ * @param {Object} dryRun - Dry-run client (see createDryRunGitHub)
+ * @param {string} filePath - Report path; '.json' writes JSON, anything else markdown
+ * @returns {string} Path of the written report
+ */
+function writeDryRunReport(dryRun, filePath) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    operations: dryRun.operations,
+    issues: dryRun.getResultingIssues()
+  };
+
+  const content = path.extname(filePath).toLowerCase() === '.json'
+    ? `${JSON.stringify(report, null, 2)}\n`
+    : renderDryRunReport(report);
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  console.log(`📝 Wrote dry-run report to ${filePath}`);
+  return filePath;
+}
+
+/**
+ * Render a dry-run report as markdown
+ * @param {Object} report - Report with generatedAt, operations and issues
+ * @returns {string} Markdown
+ */
+function renderDryRunReport(report) {
+  const writes = report.operations.filter(operation => !['search', 'list', 'read'].includes(operation.type));
+
+  const operationRows = report.operations.map(operation =>
+    `| ${operation.index} | ${operation.type} | ${describeTarget(operation)} | ${describeOperation(operation)} |`);
+
+  const issueSections = report.issues.map(issue => {
+    const lines = [
+      `### ${issue.simulated ? 'New issue' : `#${issue.number}`}: ${issue.title || '(unchanged title)'}`,
+      '',
+      `**State:** ${issue.state || 'unchanged'}`
+    ];
+    if (issue.labels) lines.push(`**Labels:** ${issue.labels.map(labelName).join(', ') || 'none'}`);
+    if (issue.assignees) lines.push(`**Assignees:** ${issue.assignees.map(assignee => assignee.login).join(', ') || 'none'}`);
+    if (issue.body) {
+      lines.push('', '<details>', '<summary>Body</summary>', '', issue.body, '', '</details>');
+    }
+    for (const comment of issue.newComments) {
+      lines.push('', '**New comment:**', '', comment.split('\n').map(line => `> ${line}`).join('\n'));
+    }
+    return lines.join('\n');
+  });
+
+  return `# Issue Manager Dry Run
+
+**Generated:** ${report.generatedAt}
+**Operations:** ${report.operations.length} (${writes.length} would change the repository)
+
+## Operations
+
+| # | Operation | Target | Details |
+|---|-----------|--------|---------|
+${operationRows.join('\n')}
+
+## Resulting Issues
+
+${issueSections.length > 0 ? issueSections.join('\n\n---\n\n') : '_No issues would be created or changed._'}
+`;
+}
+
+/**
+ * Describe what an operation acts on
+ * @param {Object} operation - Recorded operation
+ * @returns {string} Issue number, label name or '-'
+ */
+function describeTarget(operation) {
+  if (operation.issueNumber) {
+    return operation.issueNumber >= FIRST_SIMULATED_ISSUE_NUMBER ? 'new issue' : `#${operation.issueNumber}`;
+  }
+  return operation.params.name ? `label \`${operation.params.name}\`` : '-';
+}
+
+/**
+ * Summarize an operation's parameters for the report table
+ * @param {Object} operation - Recorded operation
+ * @returns {string} Table cell text
+ */
+function describeOperation(operation) {
+  const { params } = operation;
+  const escape = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  switch (operation.type) {
+    case 'search':
+      return `\`${escape(params.q)}\` → ${operation.results} results`;
+    case 'list':
+      return `${operation.method}${params.labels ? ` labels: ${escape(params.labels)}` : ''} → ${operation.results} results`;
+    case 'create':
+      return `${escape(params.title)}${params.labels ? ` (labels: ${escape(params.labels.map(labelName).join(', '))})` : ''}`;
+    case 'update':
+    case 'close':
+    case 'reopen':
+      return Object.keys(params).filter(key => key !== 'issue_number' && params[key] !== undefined).join(', ');
+    case 'comment':
+      return escape(params.body.split('\n')[0]);
+    default:
+      return operation.method;
+  }
+}
+
+/**
+ * Get the name of a label given as a string or object
+ * @param {string|Object} label - Label
+ * @returns {string} Label name
+ */
+function labelName(label) {
+  return typeof label === 'string' ? label : label.name;
+}
+
+/**
+ * Deep-copy a plain object
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createDryRunGitHub,
+  writeDryRunReport
+};
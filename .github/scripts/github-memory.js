@@ -0,0 +1,322 @@
+/**
+ * In-Memory GitHub Backend
+ *
+ * A stand-in for the `github.rest` client that keeps issues, comments and labels in
+ * memory, so the issue manager can run offline: to rehearse workflow changes, or to
+ * exercise the module without a repository. It implements the same endpoints as
+ * github-client.js, with Octokit-style responses ({ status, headers, data }) and errors
+ * (error.status). Search queries support the qualifiers the issue manager uses: repo:,
+ * is:, state:, label: (comma-separated values match any), author: and free text.
+ */
+
+const DEFAULT_OWNER = 'offline';
+const DEFAULT_REPO = 'repository';
+
+// Comments created through the client are attributed to the Actions bot, as in a workflow
+const DEFAULT_ACTOR = { login: 'github-actions[bot]', type: 'Bot' };
+
+/**
+ * Create an in-memory GitHub client
+ * @param {Object} fixtures - Initial state (optional)
+ * @param {Array<Object>} fixtures.issues - Issues; labels may be names, comments a list of bodies or comment objects
+ * @param {Array<Object>} fixtures.labels - Labels with name, color and description
+ * @param {Object} options - Backend options
+ * @param {string} options.owner - Repository owner used for URLs (optional)
+ * @param {string} options.repo - Repository name used for URLs (optional)
+ * @param {Object} options.actor - User recorded as author of created issues and comments (optional)
+ * @returns {Object} Client exposing rest.issues.* and rest.search.*, plus the backing state
+ */
+function createMemoryGitHub(fixtures = {}, options = {}) {
+  const { owner = DEFAULT_OWNER, repo = DEFAULT_REPO, actor = DEFAULT_ACTOR } = options;
+  const htmlUrl = number => `https://github.com/${owner}/${repo}/issues/${number}`;
+
+  const state = {
+    issues: [],
+    comments: {},
+    labels: {},
+    nextIssueNumber: 1,
+    nextCommentId: 1
+  };
+
+  for (const label of fixtures.labels || []) {
+    state.labels[label.name] = { name: label.name, color: label.color || 'ededed', description: label.description || '' };
+  }
+  for (const fixture of fixtures.issues || []) {
+    const { comments = [], ...issue } = fixture;
+    const number = issue.number || state.nextIssueNumber;
+    const createdAt = issue.created_at || new Date().toISOString();
+    state.issues.push({
+      title: '',
+      body: '',
+      state: 'open',
+      state_reason: null,
+      user: actor,
+      ...issue,
+      number,
+      labels: toLabels(issue.labels || [], state),
+      assignees: (issue.assignees || []).map(toUser),
+      html_url: htmlUrl(number),
+      created_at: createdAt,
+      updated_at: issue.updated_at || createdAt,
+      comments: 0
+    });
+    state.comments[number] = [];
+    state.nextIssueNumber = Math.max(state.nextIssueNumber, number + 1);
+    comments.forEach(comment => addComment(number, typeof comment === 'string' ? { body: comment } : comment));
+  }
+
+  /**
+   * Store a comment on an issue
+   * @param {number} number - Issue number
+   * @param {Object} comment - Comment with body, and optionally user and created_at
+   * @returns {Object} Stored comment
+   */
+  function addComment(number, comment) {
+    const issue = findIssue(number);
+    const createdAt = comment.created_at || new Date().toISOString();
+    const stored = {
+      id: state.nextCommentId++,
+      body: comment.body,
+      user: comment.user ? toUser(comment.user) : actor,
+      created_at: createdAt,
+      html_url: `${issue.html_url}#issuecomment-${state.nextCommentId - 1}`
+    };
+    state.comments[number].push(stored);
+    issue.comments = state.comments[number].length;
+    issue.updated_at = createdAt;
+    return stored;
+  }
+
+  /**
+   * Look up an issue by number
+   * @param {number} number - Issue number
+   * @returns {Object} Issue
+   * @throws {Error} With status 404 if the issue does not exist
+   */
+  function findIssue(number) {
+    const issue = state.issues.find(candidate => candidate.number === Number(number));
+    if (!issue) throw notFound(`Issue #${number}`);
+    return issue;
+  }
+
+  const issues = {
+    listForRepo: async (params = {}) => {
+      const { state: issueState = 'open', labels = '', sort = 'created', direction = 'desc' } = params;
+      const required = labels ? labels.split(',').map(label => label.trim()) : [];
+      const matches = state.issues
+        .filter(issue => issueState === 'all' || issue.state === issueState)
+        .filter(issue => required.every(label => issue.labels.some(candidate => candidate.name === label)));
+      return respond(paginate(sortIssues(matches, sort, direction), params));
+    },
+
+    create: async (params) => {
+      const now = new Date().toISOString();
+      const number = state.nextIssueNumber++;
+      const issue = {
+        number,
+        title: params.title,
+        body: params.body || '',
+        state: 'open',
+        state_reason: null,
+        labels: toLabels(params.labels || [], state),
+        assignees: (params.assignees || []).map(toUser),
+        user: actor,
+        comments: 0,
+        html_url: htmlUrl(number),
+        created_at: now,
+        updated_at: now
+      };
+      state.issues.push(issue);
+      state.comments[number] = [];
+      return respond(clone(issue), 201);
+    },
+
+    update: async (params) => {
+      const issue = findIssue(params.issue_number);
+      for (const field of ['title', 'body', 'state_reason']) {
+        if (params[field] !== undefined) issue[field] = params[field];
+      }
+      if (params.state !== undefined) {
+        issue.closed_at = params.state === 'closed' ? new Date().toISOString() : null;
+        issue.state = params.state;
+      }
+      if (params.labels !== undefined) issue.labels = toLabels(params.labels, state);
+      if (params.assignees !== undefined) issue.assignees = params.assignees.map(toUser);
+      issue.updated_at = new Date().toISOString();
+      return respond(clone(issue));
+    },
+
+    createComment: async (params) => {
+      findIssue(params.issue_number);
+      return respond(clone(addComment(params.issue_number, { body: params.body })), 201);
+    },
+
+    listComments: async (params) => {
+      findIssue(params.issue_number);
+      return respond(paginate(state.comments[params.issue_number], params));
+    },
+
+    getLabel: async (params) => {
+      const label = state.labels[params.name];
+      if (!label) throw notFound(`Label ${params.name}`);
+      return respond(clone(label));
+    },
+
+    createLabel: async (params) => {
+      if (state.labels[params.name]) {
+        const error = new Error(`Label ${params.name} already exists`);
+        error.status = 422;
+        throw error;
+      }
+      state.labels[params.name] = { name: params.name, color: params.color || 'ededed', description: params.description || '' };
+      return respond(clone(state.labels[params.name]), 201);
+    },
+
+    updateLabel: async (params) => {
+      const label = state.labels[params.name];
+      if (!label) throw notFound(`Label ${params.name}`);
+      if (params.color !== undefined) label.color = params.color;
+      if (params.description !== undefined) label.description = params.description;
+      return respond(clone(label));
+    }
+  };
+
+  const search = {
+    issuesAndPullRequests: async (params) => {
+      const query = parseSearchQuery(params.q);
+      const matches = sortIssues(state.issues.filter(issue => matchesSearchQuery(issue, query)), params.sort || 'created', params.order || 'desc');
+      return respond({ total_count: matches.length, incomplete_results: false, items: paginate(matches, params) });
+    }
+  };
+
+  return { rest: { issues, search }, state };
+}
+
+/**
+ * Parse a search query into the qualifiers understood by the backend
+ * @param {string} q - Search query (e.g. 'repo:o/r is:issue state:open label:"bug","defect"')
+ * @returns {Object} { state, type, labels, author, updatedSince, terms } where labels is a list of
+ *   alternatives per qualifier
+ */
+function parseSearchQuery(q) {
+  const query = { state: null, type: null, labels: [], author: null, updatedSince: null, terms: [] };
+  const tokens = String(q || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+  for (const token of tokens) {
+    const separator = token.indexOf(':');
+    const qualifier = separator > 0 ? token.slice(0, separator) : null;
+    const value = separator > 0 ? token.slice(separator + 1) : token;
+    const values = value.split(',').map(part => part.replace(/^"|"$/g, ''));
+
+    if (qualifier === 'repo') continue;
+    if (qualifier === 'is' && ['issue', 'pr'].includes(value)) query.type = value;
+    else if (qualifier === 'is' || qualifier === 'state') query.state = value;
+    else if (qualifier === 'label') query.labels.push(values);
+    else if (qualifier === 'author') query.author = value;
+    else if (qualifier === 'updated' && value.startsWith('>=')) query.updatedSince = Date.parse(value.slice(2));
+    else query.terms.push(token.replace(/^"|"$/g, '').toLowerCase());
+  }
+
+  return query;
+}
+
+/**
+ * Test an issue against a parsed search query
+ * @param {Object} issue - Issue
+ * @param {Object} query - Parsed query (see parseSearchQuery)
+ * @returns {boolean} True if the issue matches every qualifier
+ */
+function matchesSearchQuery(issue, query) {
+  const names = issue.labels.map(label => (typeof label === 'string' ? label : label.name));
+  const text = `${issue.title}\n${issue.body || ''}`.toLowerCase();
+
+  return (query.type !== 'pr') &&
+    (!query.state || issue.state === query.state) &&
+    query.labels.every(alternatives => alternatives.some(label => names.includes(label))) &&
+    (!query.author || (issue.user && issue.user.login === query.author)) &&
+    (!query.updatedSince || Date.parse(issue.updated_at) >= query.updatedSince) &&
+    query.terms.every(term => text.includes(term));
+}
+
+/**
+ * Sort issues the way the list and search endpoints do
+ * @param {Array<Object>} issues - Issues
+ * @param {string} sort - 'created' or 'updated'
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortIssues(issues, sort, direction) {
+  const key = sort === 'updated' ? 'updated_at' : 'created_at';
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...issues].sort((a, b) => sign * (a[key].localeCompare(b[key]) || a.number - b.number));
+}
+
+/**
+ * Return one page of results
+ * @param {Array} items - All results
+ * @param {Object} params - Request parameters with per_page and page
+ * @returns {Array} Copies of the items on the requested page
+ */
+function paginate(items, params = {}) {
+  const perPage = params.per_page || 30;
+  const page = params.page || 1;
+  return items.slice((page - 1) * perPage, page * perPage).map(clone);
+}
+
+/**
+ * Turn label names or objects into label objects, using registered colors where known
+ * @param {Array<string|Object>} labels - Label names or objects
+ * @param {Object} state - Backend state
+ * @returns {Array<Object>} Labels with name, color and description
+ */
+function toLabels(labels, state) {
+  return labels.map(label => {
+    const name = typeof label === 'string' ? label : label.name;
+    return state.labels[name] ? { ...state.labels[name] } : { name, color: 'ededed', description: '' };
+  });
+}
+
+/**
+ * Turn a login or user object into a user object
+ * @param {string|Object} user - Login or user
+ * @returns {Object} User with login and type
+ */
+function toUser(user) {
+  return typeof user === 'string' ? { login: user, type: 'User' } : { type: 'User', ...user };
+}
+
+/**
+ * Wrap data in an Octokit-style response
+ * @param {*} data - Response data
+ * @param {number} status - HTTP status (optional)
+ * @returns {Object} Response with status, headers and data
+ */
+function respond(data, status = 200) {
+  return { status, headers: {}, data };
+}
+
+/**
+ * Build a not-found error
+ * @param {string} what - Description of the missing resource
+ * @returns {Error} Error with status 404
+ */
+function notFound(what) {
+  const error = new Error(`${what} not found`);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Deep-copy a plain object so callers cannot modify the stored state
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createMemoryGitHub,
+  parseSearchQuery,
+  matchesSearchQuery
+};
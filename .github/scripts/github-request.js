@@ -0,0 +1,172 @@
+/**
+ * GitHub API Request Helper
+ *
+ * Shared request layer for the issue management scripts. Wraps GitHub API calls with
+ * retries for transient failures (5xx responses, primary and secondary rate limits)
+ * and pages through list and search endpoints.
+ */
+
+// Retry behaviour for transient failures
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// The search API never returns more than 1000 results
+const SEARCH_RESULT_LIMIT = 1000;
+
+/**
+ * Execute a GitHub API request, retrying transient failures with backoff
+ * @param {string} description - Human-readable description of the request (for logging)
+ * @param {Function} requestFn - Function performing the request and returning a promise
+ * @param {Object} options - Retry options
+ * @param {number} options.maxAttempts - Maximum number of attempts (optional)
+ * @param {number} options.baseDelayMs - Base delay for exponential backoff (optional)
+ * @returns {Promise<Object>} API response
+ */
+async function githubRequest(description, requestFn, options = {}) {
+  const {
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestFn();
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelayMs);
+      if (delay > MAX_DELAY_MS) {
+        console.error(`⛔ ${description}: rate limit resets in ${Math.ceil(delay / 1000)}s, not waiting`);
+        throw error;
+      }
+
+      console.warn(`⏳ ${description} failed (${error.status || error.message}), retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${maxAttempts})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Fetch all pages of a list or search endpoint
+ * @param {string} description - Human-readable description of the request (for logging)
+ * @param {Function} method - Octokit endpoint method (e.g. github.rest.issues.listForRepo)
+ * @param {Object} params - Request parameters
+ * @param {Object} options - Pagination options
+ * @param {number} options.perPage - Page size (optional, max 100)
+ * @param {number} options.maxResults - Stop after this many results (optional)
+ * @param {string} options.itemsKey - Property holding the results when the endpoint wraps them in an
+ *   object (optional, defaults to 'items' as in search; e.g. 'jobs' for workflow run jobs)
+ * @returns {Promise<Array>} All items across pages
+ */
+async function paginateRequest(description, method, params, options = {}) {
+  const { perPage = 100, maxResults = Infinity, itemsKey = 'items' } = options;
+  const items = [];
+
+  for (let page = 1; ; page++) {
+    const response = await githubRequest(
+      `${description} (page ${page})`,
+      () => method({ ...params, per_page: perPage, page })
+    );
+
+    // Search and Actions endpoints wrap results in { total_count, items|jobs|... }, list endpoints return arrays
+    const isWrapped = !Array.isArray(response.data);
+    const pageItems = isWrapped ? response.data[itemsKey] : response.data;
+    items.push(...pageItems);
+
+    const limit = isWrapped
+      ? Math.min(response.data.total_count, itemsKey === 'items' ? SEARCH_RESULT_LIMIT : Infinity, maxResults)
+      : maxResults;
+
+    if (pageItems.length < perPage || items.length >= limit) {
+      return items.slice(0, maxResults);
+    }
+  }
+}
+
+/**
+ * Determine whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} True for server errors and rate limits
+ */
+function isRetryableError(error) {
+  const status = error.status;
+
+  // Network errors carry no status
+  if (!status) {
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code);
+  }
+
+  if (status >= 500 || status === 429) {
+    return true;
+  }
+
+  if (status === 403) {
+    const headers = getHeaders(error);
+    const message = String(error.message || '').toLowerCase();
+    return headers['retry-after'] !== undefined ||
+      headers['x-ratelimit-remaining'] === '0' ||
+      message.includes('secondary rate limit') ||
+      message.includes('abuse detection');
+  }
+
+  return false;
+}
+
+/**
+ * Compute how long to wait before retrying a failed request
+ * @param {Error} error - Request error
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {number} baseDelayMs - Base delay for exponential backoff
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, baseDelayMs = BASE_DELAY_MS) {
+  const headers = getHeaders(error);
+
+  if (headers['retry-after'] !== undefined) {
+    const seconds = Number(headers['retry-after']);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const retryAt = Date.parse(headers['retry-after']);
+    if (!Number.isNaN(retryAt)) {
+      return Math.max(0, retryAt - Date.now());
+    }
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+  }
+
+  // Exponential backoff with jitter
+  const backoff = baseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(backoff + Math.floor(Math.random() * baseDelayMs), MAX_DELAY_MS);
+}
+
+/**
+ * Read response headers from a request error
+ * @param {Error} error - Request error
+ * @returns {Object} Response headers (empty if unavailable)
+ */
+function getHeaders(error) {
+  return (error.response && error.response.headers) || error.headers || {};
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} milliseconds - Time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+module.exports = {
+  githubRequest,
+  paginateRequest,
+  isRetryableError,
+  getRetryDelay,
+  sleep
+};
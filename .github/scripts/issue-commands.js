@@ -0,0 +1,409 @@
+/**
+ * Issue Slash Commands
+ *
+ * Lets people act on a managed failure issue from its comments instead of re-running
+ * workflows by hand. A comment whose first line is a command is handled as follows:
+ *
+ *   /retry              re-run the deployment (or teardown) that failed; only the Coder
+ *                       application when that is what failed
+ *   /retry coder        re-run only the Coder application deployment
+ *   /retry environment  re-run the complete environment deployment
+ *   /teardown confirm <environment> [force] [coder|infrastructure]
+ *                       tear the environment down (force: continue despite destroy errors)
+ *   /ack                mark the issue as acknowledged, which stops escalation
+ *   /help               list the commands
+ *
+ * Commands are only accepted on issues created by the issue manager and from people with
+ * write access to the repository. Workflows are dispatched for the environment, region,
+ * availability zone and template of the failed run, as recorded in the issue's metadata,
+ * and the result is posted back as a comment. Anything that tears an environment down,
+ * including a retried teardown, has to name the environment after `confirm`.
+ */
+
+const { githubRequest, sleep } = require('./github-request.js');
+const { getManagedIssueMetadata, addIssueComment } = require('./issue-manager.js');
+const { loadOwnershipConfig, DEFAULT_OWNERS_FILE } = require('./issue-owners.js');
+const { ensureLabels } = require('./label-registry.js');
+
+// Workflows that commands can dispatch, with the inputs each needs besides the environment
+// and the inputs taken over from the failed run
+const WORKFLOWS = {
+  environment: {
+    file: 'deploy-environment.yml',
+    name: 'Complete environment deployment',
+    inputs: {},
+    runInputs: ['region', 'availability_zone', 'template']
+  },
+  coder: {
+    file: 'deploy-coder.yml',
+    name: 'Coder application deployment',
+    // The failed run's kubeconfig is not available to a new run, use the infrastructure artifact
+    inputs: { kubeconfig_source: 'from_artifact' },
+    runInputs: ['region', 'availability_zone', 'template']
+  },
+  teardown: {
+    file: 'teardown-environment.yml',
+    name: 'Environment teardown',
+    // Only dispatched once the commenter confirmed the environment (see parseConfirmation)
+    inputs: { confirmation: 'CONFIRM' },
+    runInputs: ['region', 'availability_zone']
+  }
+};
+
+// Inputs of the failed run a dispatch cannot do without; the workflow defaults may point elsewhere
+const REQUIRED_RUN_INPUTS = ['region', 'availability_zone'];
+
+// Workflow re-run by a plain /retry, by issue kind (Coder-only failures retry just Coder)
+const RETRY_WORKFLOWS = {
+  'deployment-failure': 'environment',
+  'infrastructure-failure': 'environment',
+  'teardown-failure': 'teardown'
+};
+
+// Teardown modes selectable with /teardown
+const TEARDOWN_MODES = {
+  coder: 'coder_only',
+  infrastructure: 'infrastructure_only'
+};
+
+// Repository permissions allowed to run commands (maintainers and custom roles with write access report 'write')
+const WRITE_PERMISSIONS = ['admin', 'write'];
+
+// How long to look for the run created by a dispatch before linking the workflow instead
+const RUN_LOOKUP_ATTEMPTS = 6;
+const RUN_LOOKUP_DELAY_MS = 5000;
+
+const COMMAND_HELP = [
+  '`/retry` - re-run the deployment or teardown that failed (a teardown needs `/retry confirm <environment>`)',
+  '`/retry coder` - re-run only the Coder application deployment',
+  '`/retry environment` - re-run the complete environment deployment',
+  '`/teardown confirm <environment> [force] [coder|infrastructure]` - tear the environment down',
+  '`/ack` - acknowledge the issue and stop escalation',
+  '`/help` - show this list'
+];
+
+/**
+ * Error raised for a command that cannot be carried out, with a message for the commenter
+ */
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+/**
+ * Handle a slash command in an issue comment
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context of an issue_comment event
+ * @param {Object} options - Handler options
+ * @param {string} options.ownersFile - Path to the owners file, for the acknowledged label (optional)
+ * @param {number} options.runLookupAttempts - Attempts to find the dispatched run (optional)
+ * @returns {Promise<Object|null>} { command, result } where result describes what was done
+ *   (null if the comment holds no command or the issue is not managed)
+ */
+async function handleIssueCommand(github, context, options = {}) {
+  const { issue, comment } = context.payload;
+  const command = parseIssueCommand(comment.body);
+
+  if (!command) {
+    console.log('No command in comment, nothing to do');
+    return null;
+  }
+
+  const metadata = getManagedIssueMetadata(issue);
+  if (!metadata) {
+    console.log(`Issue #${issue.number} is not managed by the issue manager, ignoring /${command.name}`);
+    return null;
+  }
+
+  console.log(`🤖 Handling /${[command.name, ...command.args].join(' ')} from @${comment.user.login} on issue #${issue.number}`);
+
+  try {
+    if (command.name === 'help') {
+      await reply(github, context, `Commands available on this issue:\n\n${COMMAND_HELP.map(line => `- ${line}`).join('\n')}`);
+      return { command, result: 'help' };
+    }
+
+    const permission = await getPermission(github, context, comment.user.login);
+    if (!WRITE_PERMISSIONS.includes(permission)) {
+      throw new CommandError(`@${comment.user.login} needs write access to the repository to run \`/${command.name}\`.`);
+    }
+
+    if (command.name === 'ack') {
+      return { command, result: await acknowledgeIssue(github, context, options.ownersFile) };
+    }
+
+    const dispatch = planDispatch(command, metadata, issue.labels.map(label => (typeof label === 'string' ? label : label.name)));
+    const run = await dispatchWorkflow(github, context, dispatch, options.runLookupAttempts);
+    return { command, result: run };
+  } catch (error) {
+    if (!(error instanceof CommandError)) {
+      console.error(`Failed to run /${command.name} on issue #${issue.number}:`, error);
+      await reply(github, context, `❌ \`/${command.name}\` failed: ${error.message}`);
+      throw error;
+    }
+
+    console.log(`⛔ Rejected /${command.name}: ${error.message}`);
+    await reply(github, context, `⛔ ${error.message}`);
+    return { command, result: 'rejected' };
+  }
+}
+
+/**
+ * Parse the command from a comment
+ * @param {string} body - Comment body
+ * @returns {Object|null} { name, args } with lower-case words (null if the first line is not a known command)
+ */
+function parseIssueCommand(body) {
+  const firstLine = String(body || '').trim().split(/\r?\n/)[0].trim();
+  const match = firstLine.match(/^\/([a-z]+)((?:\s+[\w-]+)*)\s*$/i);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  if (!['retry', 'teardown', 'ack', 'help'].includes(name)) return null;
+
+  return { name, args: match[2].trim().split(/\s+/).filter(Boolean).map(arg => arg.toLowerCase()) };
+}
+
+/**
+ * Work out which workflow a command dispatches and with which inputs
+ * @param {Object} command - Parsed command (see parseIssueCommand)
+ * @param {Object} metadata - Issue metadata with kind, environment and the inputs of the failed run
+ * @param {string[]} labels - Names of the issue's labels
+ * @returns {Object} { workflow, inputs, summary }
+ * @throws {CommandError} If the command does not apply to the issue
+ */
+function planDispatch(command, metadata, labels = []) {
+  const { kind, environment } = metadata;
+  if (!environment) {
+    throw new CommandError(`This issue has no environment recorded, so \`/${command.name}\` cannot tell what to run.`);
+  }
+
+  const { confirmed, args } = parseConfirmation(command, environment);
+
+  if (command.name === 'retry') {
+    const [target, ...extra] = args;
+    const workflowKey = target || (labels.includes('coder-failure') ? 'coder' : RETRY_WORKFLOWS[kind]);
+
+    if (extra.length > 0 || (target && !['coder', 'environment'].includes(target))) {
+      throw new CommandError('Usage: `/retry`, `/retry coder` or `/retry environment`.');
+    }
+    if (!workflowKey) {
+      throw new CommandError(`\`/retry\` is not available on ${kind} issues; re-run the workflow from the Actions tab.`);
+    }
+    if (workflowKey === 'teardown' && !confirmed) {
+      throw new CommandError(`Retrying the teardown destroys \`${environment}\`. Confirm with \`/retry confirm ${environment}\`.`);
+    }
+
+    const inputs = workflowKey === 'teardown' ? { teardown_mode: 'complete' } : {};
+    return {
+      workflow: WORKFLOWS[workflowKey],
+      inputs: { ...WORKFLOWS[workflowKey].inputs, ...getRunInputs(command, metadata, WORKFLOWS[workflowKey]), ...inputs, environment },
+      summary: `${WORKFLOWS[workflowKey].name} for \`${environment}\``
+    };
+  }
+
+  // /teardown confirm <environment> [force] [coder|infrastructure]
+  const unknown = args.filter(arg => arg !== 'force' && !TEARDOWN_MODES[arg]);
+  const modes = args.filter(arg => TEARDOWN_MODES[arg]);
+  if (unknown.length > 0 || modes.length > 1) {
+    throw new CommandError('Usage: `/teardown confirm <environment> [force] [coder|infrastructure]`.');
+  }
+  if (!confirmed) {
+    throw new CommandError(`Tearing down \`${environment}\` cannot be undone. Confirm with \`/teardown confirm ${environment}\`.`);
+  }
+
+  const force = args.includes('force');
+  const teardownMode = modes.length > 0 ? TEARDOWN_MODES[modes[0]] : 'complete';
+  return {
+    workflow: WORKFLOWS.teardown,
+    inputs: {
+      ...WORKFLOWS.teardown.inputs,
+      ...getRunInputs(command, metadata, WORKFLOWS.teardown),
+      environment,
+      teardown_mode: teardownMode,
+      force_cleanup: String(force)
+    },
+    summary: `${WORKFLOWS.teardown.name} (${teardownMode}${force ? ', forced' : ''}) for \`${environment}\``
+  };
+}
+
+/**
+ * Take the confirmation (`confirm <environment>`) out of a command's arguments
+ * @param {Object} command - Parsed command (see parseIssueCommand)
+ * @param {string} environment - Environment recorded on the issue
+ * @returns {Object} { confirmed, args } with the remaining arguments
+ * @throws {CommandError} If the confirmation names another environment
+ */
+function parseConfirmation(command, environment) {
+  const index = command.args.indexOf('confirm');
+  if (index === -1) {
+    return { confirmed: false, args: command.args };
+  }
+
+  if (command.args[index + 1] !== String(environment).toLowerCase()) {
+    throw new CommandError(`This issue is about \`${environment}\`; confirm with \`/${command.name} confirm ${environment}\`.`);
+  }
+  return { confirmed: true, args: command.args.filter((arg, i) => i !== index && i !== index + 1) };
+}
+
+/**
+ * Pick the inputs of the failed run that a workflow takes
+ * @param {Object} command - Parsed command (see parseIssueCommand)
+ * @param {Object} metadata - Issue metadata with runInputs
+ * @param {Object} workflow - Workflow to dispatch (see WORKFLOWS)
+ * @returns {Object} Inputs to dispatch the workflow with
+ * @throws {CommandError} If the region or availability zone of the failed run is not recorded
+ */
+function getRunInputs(command, metadata, workflow) {
+  const runInputs = metadata.runInputs || {};
+  const missing = REQUIRED_RUN_INPUTS.filter(name => !runInputs[name]);
+  if (missing.length > 0) {
+    throw new CommandError(`This issue does not record the ${missing.map(name => name.replace('_', ' ')).join(' and ')} of the failed run, so \`/${command.name}\` cannot run it in the same place; run the workflow from the Actions tab.`);
+  }
+
+  return Object.fromEntries(workflow.runInputs
+    .filter(name => runInputs[name])
+    .map(name => [name, String(runInputs[name])]));
+}
+
+/**
+ * Dispatch a workflow on the default branch and report the run on the issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} dispatch - Planned dispatch (see planDispatch)
+ * @param {number} lookupAttempts - Attempts to find the created run (optional)
+ * @returns {Promise<Object>} { workflow, inputs, runUrl } where runUrl links the run (or the workflow's runs)
+ */
+async function dispatchWorkflow(github, context, dispatch, lookupAttempts = RUN_LOOKUP_ATTEMPTS) {
+  const { owner, repo } = context.repo;
+  const ref = (context.payload.repository && context.payload.repository.default_branch) || 'main';
+  const dispatchedAt = Date.now();
+
+  console.log(`🚀 Dispatching ${dispatch.workflow.file} on ${ref} with ${JSON.stringify(dispatch.inputs)}`);
+  await githubRequest(`Dispatch ${dispatch.workflow.file}`, () =>
+    github.rest.actions.createWorkflowDispatch({
+      owner,
+      repo,
+      workflow_id: dispatch.workflow.file,
+      ref,
+      inputs: dispatch.inputs
+    })
+  );
+
+  const run = await findDispatchedRun(github, context, dispatch.workflow.file, dispatchedAt, lookupAttempts);
+  const runUrl = run
+    ? run.html_url
+    : `${context.serverUrl}/${owner}/${repo}/actions/workflows/${dispatch.workflow.file}`;
+
+  const { comment } = context.payload;
+  await reply(github, context, run
+    ? `🚀 Started ${dispatch.summary} as requested by @${comment.user.login}: [run #${run.run_number}](${runUrl})`
+    : `🚀 Started ${dispatch.summary} as requested by @${comment.user.login}. The run was not listed yet; follow it in [the workflow's runs](${runUrl}).`);
+
+  return { workflow: dispatch.workflow.file, inputs: dispatch.inputs, runUrl };
+}
+
+/**
+ * Find the run created by a workflow dispatch
+ *
+ * The dispatch API does not return the run it creates, so the newest dispatched run of
+ * the workflow that started after the dispatch is taken, retrying while it is not listed.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} workflowFile - Workflow file name
+ * @param {number} dispatchedAt - Time of the dispatch in milliseconds
+ * @param {number} attempts - Number of lookups
+ * @returns {Promise<Object|null>} Workflow run (null if none appeared)
+ */
+async function findDispatchedRun(github, context, workflowFile, dispatchedAt, attempts) {
+  // Allow for clock differences between the runner and GitHub
+  const earliest = dispatchedAt - 10000;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const response = await githubRequest(`List runs of ${workflowFile}`, () =>
+      github.rest.actions.listWorkflowRuns({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        workflow_id: workflowFile,
+        event: 'workflow_dispatch',
+        per_page: 10
+      })
+    );
+
+    const run = response.data.workflow_runs
+      .filter(candidate => Date.parse(candidate.created_at) >= earliest)
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))[0];
+    if (run) return run;
+
+    if (attempt < attempts) await sleep(RUN_LOOKUP_DELAY_MS);
+  }
+
+  console.log(`Dispatched run of ${workflowFile} not found after ${attempts} attempts`);
+  return null;
+}
+
+/**
+ * Add the acknowledged label to the issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} ownersFile - Path to the owners file (optional)
+ * @returns {Promise<string>} 'acknowledged'
+ */
+async function acknowledgeIssue(github, context, ownersFile = DEFAULT_OWNERS_FILE) {
+  const { issue, comment } = context.payload;
+  const { acknowledgedLabel } = loadOwnershipConfig(ownersFile).escalation;
+
+  await ensureLabels(github, context, [acknowledgedLabel]);
+  await githubRequest(`Label issue #${issue.number}`, () =>
+    github.rest.issues.addLabels({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: issue.number,
+      labels: [acknowledgedLabel]
+    })
+  );
+
+  console.log(`👀 Issue #${issue.number} acknowledged by @${comment.user.login}`);
+  await reply(github, context, `👀 Acknowledged by @${comment.user.login}; this issue will no longer be escalated.`);
+  return 'acknowledged';
+}
+
+/**
+ * Look up a user's permission on the repository
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} username - User login
+ * @returns {Promise<string>} Permission ('admin', 'write', 'read' or 'none')
+ */
+async function getPermission(github, context, username) {
+  const response = await githubRequest(`Get permission of @${username}`, () =>
+    github.rest.repos.getCollaboratorPermissionLevel({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      username
+    })
+  );
+
+  return response.data.permission;
+}
+
+/**
+ * Reply on the issue the command was given on
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} body - Comment body
+ * @returns {Promise<Object>} Created comment
+ */
+async function reply(github, context, body) {
+  return await addIssueComment(github, context, context.payload.issue.number, body);
+}
+
+module.exports = {
+  handleIssueCommand,
+  parseIssueCommand,
+  planDispatch,
+  CommandError
+};
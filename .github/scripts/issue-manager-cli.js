@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * Issue Manager Command Line
+ *
+ * Runs the issue manager handlers outside actions/github-script, e.g. from the lifecycle
+ * scripts or hooks. The GitHub client and context are built from GITHUB_TOKEN (or
+ * GH_TOKEN) and GITHUB_REPOSITORY; the event is read as JSON from stdin or a file and/or
+ * given as --flags, and the resulting issue is printed to stdout as JSON. Log output goes
+ * to stderr so stdout can be parsed.
+ *
+ * With --dry-run the handlers run against the real repository but nothing is changed:
+ * the intended searches, creates, updates, comments and closes are written to a markdown
+ * or JSON report instead. With --offline they run against an in-memory repository
+ * (optionally seeded with --fixtures), which needs no token.
+ *
+ * Usage:
+ *   issue-manager-cli.js <command> [--event <file|->] [--dry-run <report>] [--offline]
+ *     [--fixtures <file>] [--<field> <value> ...]
+ *
+ * Examples:
+ *   issue-manager-cli.js deployment-failure --environment dev \
+ *     --failure-point "Phase 1 (Infrastructure)" --deployment-type complete
+ *   echo '{"environment":"dev","overallStatus":"failure"}' | issue-manager-cli.js teardown-failure
+ *   issue-manager-cli.js release-failure --version 1.2.0 --tag v1.2.0 --offline --dry-run release.md
+ */
+
+const fs = require('fs');
+const issueManager = require('./issue-manager.js');
+const { createGitHubClient, createContextFromEnv } = require('./github-client.js');
+const { createMemoryGitHub } = require('./github-memory.js');
+const { createDryRunGitHub, writeDryRunReport } = require('./github-dry-run.js');
+const { getNotificationChannels } = require('./notifier.js');
+
+// Commands mapped to issue manager functions
+const COMMANDS = {
+  'deployment-failure': 'handleDeploymentFailureIssue',
+  'infrastructure-failure': 'handleInfrastructureFailureIssue',
+  'teardown-failure': 'handleTeardownFailureIssue',
+  'release-failure': 'handleReleaseFailureIssue',
+  'security-scan': 'handleSecurityScanIssue',
+  'template-validation': 'handleTemplateValidationIssue',
+  'resolve-deployment-failure': 'resolveDeploymentFailureIssue',
+  'resolve-infrastructure-failure': 'resolveInfrastructureFailureIssue',
+  'resolve-teardown-failure': 'resolveTeardownFailureIssue',
+  'resolve-release-failure': 'resolveReleaseFailureIssue',
+  'resolve-security-scan': 'resolveSecurityScanIssue',
+  'resolve-template-validation': 'resolveTemplateValidationIssue',
+  'escalate': 'escalateUnacknowledgedIssues'
+};
+
+// Event fields a command cannot run without; the handlers would otherwise file or look
+// for issues about an undefined environment or version
+const REQUIRED_FIELDS = {
+  'deployment-failure': ['environment'],
+  'infrastructure-failure': ['environment'],
+  'teardown-failure': ['environment'],
+  'release-failure': ['version'],
+  'resolve-deployment-failure': ['environment'],
+  'resolve-infrastructure-failure': ['environment'],
+  'resolve-teardown-failure': ['environment'],
+  'resolve-release-failure': ['version']
+};
+
+// Options taken by the command line itself rather than passed to the handler
+const OPTIONS = {
+  event: 'eventSource',
+  'dry-run': 'dryRunReport',
+  fixtures: 'fixturesFile'
+};
+
+// Options that take no value
+const SWITCHES = {
+  offline: 'offline'
+};
+
+// Repository used offline when GITHUB_REPOSITORY is not set
+const OFFLINE_REPOSITORY = 'offline/repository';
+
+// Exit codes
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments without the node executable and script path
+ * @returns {Object} { command, eventSource, dryRunReport, fixturesFile, offline, fields, help }
+ * @throws {Error} If a flag is missing its value
+ */
+function parseArguments(args) {
+  const parsed = {
+    command: null,
+    eventSource: null,
+    dryRunReport: null,
+    fixturesFile: null,
+    offline: false,
+    fields: {},
+    help: false
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (SWITCHES[arg.slice(2)] && arg.startsWith('--')) {
+      parsed[SWITCHES[arg.slice(2)]] = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inlineValue] = splitFlag(arg.slice(2));
+      const value = inlineValue !== undefined ? inlineValue : args[++index];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${flag}`);
+      }
+
+      if (OPTIONS[flag]) {
+        parsed[OPTIONS[flag]] = value;
+      } else {
+        parsed.fields[toCamelCase(flag)] = parseValue(value);
+      }
+    } else if (!parsed.command) {
+      parsed.command = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Split a flag of the form name=value
+ * @param {string} flag - Flag without the leading dashes
+ * @returns {Array} [name, value] with value undefined if the flag has no inline value
+ */
+function splitFlag(flag) {
+  const separator = flag.indexOf('=');
+  return separator >= 0 ? [flag.slice(0, separator), flag.slice(separator + 1)] : [flag, undefined];
+}
+
+/**
+ * Convert a kebab-case flag name to the camelCase field name used by the handlers
+ * @param {string} name - Flag name (e.g. 'failure-point')
+ * @returns {string} Field name (e.g. 'failurePoint')
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Interpret a flag value, accepting JSON for numbers, booleans, lists and objects
+ * @param {string} value - Raw flag value
+ * @returns {*} Parsed value (the raw string unless it is valid JSON of another type)
+ */
+function parseValue(value) {
+  if (!/^(?:[[{]|-?\d|true$|false$|null$)/.test(value)) return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Read the JSON event from a file or stdin
+ * @param {string|null} source - File path, '-' for stdin, or null to read stdin only when it is piped
+ *   and no fields were given as flags
+ * @param {boolean} hasFields - Whether fields were given as flags
+ * @returns {Object} Event (empty if there is nothing to read)
+ * @throws {Error} If the event is not a JSON object
+ */
+function readEvent(source, hasFields) {
+  const readStdin = source === '-' || (source === null && !hasFields && !process.stdin.isTTY);
+  if (!readStdin && source === null) return {};
+
+  const text = readStdin ? fs.readFileSync(0, 'utf8') : fs.readFileSync(source, 'utf8');
+  if (!text.trim()) return {};
+
+  const event = JSON.parse(text);
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    throw new Error('The event must be a JSON object');
+  }
+  return event;
+}
+
+/**
+ * List the required fields a command's event is missing
+ * @param {string} command - Command name
+ * @param {Object} event - Event
+ * @returns {string[]} Missing field names (empty if the event is complete)
+ */
+function findMissingFields(command, event) {
+  return (REQUIRED_FIELDS[command] || [])
+    .filter(field => event[field] === undefined || event[field] === null || event[field] === '');
+}
+
+/**
+ * Convert a camelCase field name to its kebab-case flag
+ * @param {string} field - Field name (e.g. 'failurePoint')
+ * @returns {string} Flag (e.g. '--failure-point')
+ */
+function toFlag(field) {
+  return `--${field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Fill in the run details a handler expects from the context when the event omits them
+ * @param {Object} event - Event
+ * @param {Object} context - GitHub context
+ * @returns {Object} Event with workflowRun, commit and triggeredBy
+ */
+function withRunDefaults(event, context) {
+  const workflowRun = context.runId
+    ? `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`
+    : undefined;
+
+  return {
+    workflowRun,
+    commit: context.sha,
+    triggeredBy: context.actor,
+    ...event
+  };
+}
+
+/**
+ * Reduce a handler result to the JSON printed on stdout
+ * @param {*} result - Handler result (issue, list of issue numbers or null)
+ * @param {string} command - Command that produced the result
+ * @returns {*} Issue summary, { resolved } / { escalated } for number lists, or null
+ */
+function formatResult(result, command) {
+  if (Array.isArray(result)) {
+    return { [command === 'escalate' ? 'escalated' : 'resolved']: result };
+  }
+  if (!result) return null;
+
+  return {
+    number: result.number,
+    title: result.title,
+    state: result.state,
+    url: result.html_url,
+    labels: (result.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    assignees: (result.assignees || []).map(assignee => assignee.login)
+  };
+}
+
+/**
+ * Read the issues and labels used to seed the offline repository
+ * @param {string|null} fixturesFile - JSON file with { issues, labels } (optional)
+ * @returns {Object} Fixtures (empty if no file is given)
+ * @throws {Error} If the file is not a JSON object
+ */
+function readFixtures(fixturesFile) {
+  if (!fixturesFile) return {};
+
+  const fixtures = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+  if (!fixtures || typeof fixtures !== 'object' || Array.isArray(fixtures)) {
+    throw new Error('The fixtures must be a JSON object with issues and labels');
+  }
+  return fixtures;
+}
+
+/**
+ * Turn off notifications for runs that must not reach real channels
+ * @param {Object} env - Environment variables to update
+ * @returns {void}
+ */
+function disableNotifications(env) {
+  const channels = getNotificationChannels(env);
+  if (channels.length === 0) return;
+
+  channels.forEach(channel => delete env[channel.variable]);
+  console.log(`🔕 Notifications disabled for this run (${channels.map(channel => channel.name).join(', ')})`);
+}
+
+/**
+ * Print usage information
+ * @param {Object} stream - Output stream
+ * @returns {void}
+ */
+function printUsage(stream) {
+  stream.write(`Usage: issue-manager-cli.js <command> [--event <file|->] [--dry-run <report>] [--offline]
+         [--fixtures <file>] [--<field> <value> ...]
+
+Commands:
+${Object.keys(COMMANDS).map(command => (REQUIRED_FIELDS[command]
+    ? `  ${command.padEnd(32)}requires ${REQUIRED_FIELDS[command].map(toFlag).join(', ')}`
+    : `  ${command}`)).join('\n')}
+
+Fields are the handler's event fields in kebab-case (--failure-point for failurePoint);
+JSON values are accepted for numbers, booleans, lists and objects. The event may also be
+given as a JSON object on stdin or in a file with --event; flags override its fields.
+
+Options:
+  --dry-run <report>   Record the changes instead of making them, and write them with the
+                       resulting issues to <report> (JSON if it ends in .json, else markdown)
+  --offline            Run against an in-memory repository instead of GitHub
+  --fixtures <file>    JSON file with { "issues": [...], "labels": [...] } to seed --offline
+
+Notifications are not sent with --dry-run or --offline.
+
+Environment:
+  GITHUB_TOKEN or GH_TOKEN   Token with issues: write access (required unless --offline)
+  GITHUB_REPOSITORY          Repository as owner/name (required unless --offline)
+  GITHUB_API_URL             REST API URL (optional, for GitHub Enterprise)
+  GITHUB_SERVER_URL          Web URL (optional, for GitHub Enterprise)
+`);
+}
+
+/**
+ * Run the command line
+ * @param {string[]} args - Arguments without the node executable and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  let parsed;
+  try {
+    parsed = parseArguments(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printUsage(process.stderr);
+    return EXIT_USAGE;
+  }
+
+  if (parsed.help) {
+    printUsage(process.stdout);
+    return 0;
+  }
+  if (!COMMANDS[parsed.command]) {
+    console.error(parsed.command ? `❌ Unknown command: ${parsed.command}` : '❌ No command given');
+    printUsage(process.stderr);
+    return EXIT_USAGE;
+  }
+
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (!token && !parsed.offline) {
+    console.error('❌ GITHUB_TOKEN (or GH_TOKEN) must be set');
+    return EXIT_USAGE;
+  }
+
+  // Handlers log progress with console.log; keep stdout for the JSON result
+  const print = text => process.stdout.write(`${text}\n`);
+  console.log = console.error;
+  console.info = console.error;
+
+  let event;
+  try {
+    event = { ...readEvent(parsed.eventSource, Object.keys(parsed.fields).length > 0), ...parsed.fields };
+  } catch (error) {
+    console.error(`❌ ${parsed.command} failed:`, error.message);
+    return EXIT_FAILURE;
+  }
+
+  const missingFields = findMissingFields(parsed.command, event);
+  if (missingFields.length > 0) {
+    console.error(`❌ ${parsed.command} needs ${missingFields.map(toFlag).join(', ')} (or the field in the event)`);
+    printUsage(process.stderr);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const context = createContextFromEnv(parsed.offline
+      ? { GITHUB_REPOSITORY: OFFLINE_REPOSITORY, ...process.env }
+      : process.env);
+    const backend = parsed.offline
+      ? createMemoryGitHub(readFixtures(parsed.fixturesFile), context.repo)
+      : createGitHubClient({ token, apiUrl: process.env.GITHUB_API_URL });
+    const github = parsed.dryRunReport ? createDryRunGitHub(backend) : backend;
+    if (parsed.offline || parsed.dryRunReport) {
+      disableNotifications(process.env);
+    }
+
+    const handler = issueManager[COMMANDS[parsed.command]];
+    const result = parsed.command === 'escalate'
+      ? await handler(github, context, event)
+      : await handler(github, context, withRunDefaults(event, context));
+
+    if (parsed.dryRunReport) {
+      writeDryRunReport(github, parsed.dryRunReport);
+    }
+
+    print(JSON.stringify(formatResult(result, parsed.command), null, 2));
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${parsed.command} failed:`, error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  parseArguments
+};
@@ -3,25 +3,101 @@
  *
  * Provides reusable functions for managing GitHub issues across workflows.
  * Prevents duplicate issues by checking for existing issues before creating new ones.
+ *
+ * Managed issues carry a hidden metadata marker in their body. The marker holds a
+ * fingerprint of the issue kind, environment and component, which is used as the
+ * stable identity of the issue; title matching is only a fallback for issues that
+ * were created before the marker existed.
+ */
+
+const crypto = require('crypto');
+const { githubRequest, paginateRequest } = require('./github-request.js');
+const {
+  parseSarifFiles,
+  countFindings,
+  renderFindingsBySeverity,
+  trackFindings,
+  renderFindingChanges,
+  getSarifSources,
+  loadSecurityBaseline,
+  applySecurityBaseline,
+  renderSuppressions,
+  DEFAULT_BASELINE_FILE
+} = require('./security-findings.js');
+const {
+  TEMPLATE_STAGES,
+  loadTemplateResults,
+  getFailedStages,
+  renderTemplateMatrix
+} = require('./template-results.js');
+const { classifyTerraformError } = require('./terraform-errors.js');
+const { renderBodyTemplate } = require('./body-templates.js');
+const { namespacedLabel, envLabel, phaseLabel, getLabelAliases, ensureLabels } = require('./label-registry.js');
+const { MAX_BODY_LENGTH, redactSecrets, sanitizeIssueText } = require('./issue-sanitizer.js');
+const {
+  DEFAULT_OWNERS_FILE,
+  loadOwnershipConfig,
+  loadCodeowners,
+  resolveOwners,
+  toAssignees,
+  formatMentions,
+  getEscalationThresholdHours
+} = require('./issue-owners.js');
+const { loadIssueSettings } = require('./issue-settings.js');
+const { sendNotification, getNotificationChannels, planNotification } = require('./notifier.js');
+const { getRunDiagnostics, formatRunDuration } = require('./workflow-run.js');
+const { recordOutcomes, formatFlipRate } = require('./flakiness.js');
+const { getChangeAttribution, linkPullRequestToIssue } = require('./change-attribution.js');
+
+const METADATA_MARKER_PATTERN = /<!-- issue-manager:metadata (\{.*?\}) -->/s;
+
+// Account the workflows open managed issues as; anyone can paste a marker into an issue of their own
+const ISSUE_MANAGER_LOGIN = 'github-actions[bot]';
+
+// Number of occurrences kept in the history table of a managed issue
+const MAX_OCCURRENCE_HISTORY = 50;
+
+// Longest metadata marker written to an issue body, which shares GitHub's body size limit
+// with the details; larger state is shrunk to fit (see fitIssueMetadata)
+const MAX_METADATA_LENGTH = 24000;
+
+// Occurrences kept in the marker however much it has to shrink
+const MIN_OCCURRENCE_HISTORY = 5;
+
+/**
+ * Error raised when an issue lookup fails, as opposed to finding no matching issue
  */
+class IssueLookupError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'IssueLookupError';
+    this.cause = cause;
+  }
+}
 
 /**
  * Search for existing issues with specific criteria
  * @param {Object} github - GitHub API client
  * @param {Object} context - GitHub context
  * @param {Object} criteria - Search criteria
- * @param {string} criteria.titlePattern - Pattern to match in issue titles (regex or string)
+ * @param {string} criteria.fingerprint - Issue fingerprint to match in the metadata marker (optional)
+ * @param {string} criteria.titlePattern - Pattern to match in issue titles (regex or string); used as a
+ *   fallback for issues without a metadata marker when a fingerprint is given
  * @param {string[]} criteria.labels - Array of labels to match
  * @param {string} criteria.state - Issue state ('open', 'closed', 'all')
  * @param {string} criteria.author - Issue author (optional)
- * @returns {Promise<Array>} Array of matching issues
+ * @param {Date|string} criteria.updatedSince - Only issues updated at or after this time (optional)
+ * @returns {Promise<Array>} Array of matching issues, fingerprint matches first (empty if none match)
+ * @throws {IssueLookupError} If the search request fails
  */
 async function findExistingIssues(github, context, criteria = {}) {
   const {
+    fingerprint = null,
     titlePattern = null,
     labels = [],
     state = 'open',
-    author = null
+    author = null,
+    updatedSince = null
   } = criteria;
 
   try {
@@ -32,122 +108,344 @@ async function findExistingIssues(github, context, criteria = {}) {
     let searchQuery = `repo:${context.repo.owner}/${context.repo.repo} is:issue state:${state}`;
 
     if (labels.length > 0) {
-      searchQuery += ` ${labels.map(label => `label:"${label}"`).join(' ')}`;
+      // Comma-separated values match any of them, so legacy label names are found as well
+      searchQuery += ` ${labels.map(label => `label:${getLabelAliases(label).map(alias => `"${alias}"`).join(',')}`).join(' ')}`;
     }
 
     if (author) {
       searchQuery += ` author:${author}`;
     }
 
-    console.log('Search query:', searchQuery);
-
-    const response = await github.rest.search.issuesAndPullRequests({
-      q: searchQuery,
-      sort: 'updated',
-      order: 'desc',
-      per_page: 50
-    });
+    if (updatedSince) {
+      searchQuery += ` updated:>=${new Date(updatedSince).toISOString().replace(/\.\d{3}Z$/, 'Z')}`;
+    }
 
-    let matchingIssues = response.data.items;
+    console.log('Search query:', searchQuery);
 
-    // Filter by title pattern if provided
-    if (titlePattern) {
-      const pattern = titlePattern instanceof RegExp ? titlePattern : new RegExp(titlePattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      matchingIssues = matchingIssues.filter(issue => pattern.test(issue.title));
-    }
+    let matchingIssues = await paginateRequest(
+      'Search issues',
+      github.rest.search.issuesAndPullRequests,
+      {
+        q: searchQuery,
+        sort: 'updated',
+        order: 'desc'
+      }
+    );
+    matchingIssues = filterMatchingIssues(matchingIssues, { fingerprint, titlePattern });
 
     console.log(`Found ${matchingIssues.length} matching issues`);
     return matchingIssues;
 
   } catch (error) {
     console.error('Error searching for issues:', error);
-    return [];
+    throw new IssueLookupError(`Issue lookup failed: ${error.message}`, error);
+  }
+}
+
+/**
+ * Filter issues by fingerprint, falling back to the title for issues without a metadata marker
+ * @param {Array} issues - Issues to filter
+ * @param {Object} criteria - Match criteria
+ * @param {string} criteria.fingerprint - Issue fingerprint (optional)
+ * @param {string|RegExp} criteria.titlePattern - Pattern to match in issue titles (optional)
+ * @returns {Array} Matching issues, fingerprint matches first
+ */
+function filterMatchingIssues(issues, criteria) {
+  const { fingerprint = null, titlePattern = null } = criteria;
+  const pattern = titlePattern
+    ? (titlePattern instanceof RegExp ? titlePattern : new RegExp(escapeRegExp(titlePattern), 'i'))
+    : null;
+
+  if (fingerprint) {
+    // Match by metadata marker, falling back to the title for issues that predate the marker
+    const fingerprintMatches = issues.filter(issue => {
+      const metadata = parseIssueMetadata(issue.body);
+      return metadata && metadata.fingerprint === fingerprint;
+    });
+    const legacyMatches = pattern
+      ? issues.filter(issue => !parseIssueMetadata(issue.body) && pattern.test(issue.title))
+      : [];
+
+    if (legacyMatches.length > 0) {
+      console.log(`Found ${legacyMatches.length} legacy issues matched by title`);
+    }
+    return [...fingerprintMatches, ...legacyMatches];
   }
+
+  // Filter by title pattern if provided
+  return pattern ? issues.filter(issue => pattern.test(issue.title)) : issues;
 }
 
 /**
  * Create a new issue or update an existing one
+ *
+ * After creating an issue, the issue list (which, unlike search, is not subject to index lag)
+ * is checked for a twin created concurrently by another job. All twins are merged into the
+ * oldest issue so that exactly one issue remains per fingerprint.
+ *
+ * Credentials in the title, body and failure point are masked before anything is written,
+ * and oversized bodies are truncated to fit GitHub's size limit.
+ *
  * @param {Object} github - GitHub API client
  * @param {Object} context - GitHub context
  * @param {Object} issueData - Issue data
  * @param {string} issueData.title - Issue title
  * @param {string} issueData.body - Issue body
  * @param {string[]} issueData.labels - Issue labels
- * @param {string[]} issueData.assignees - Issue assignees (optional)
+ * @param {string[]} issueData.assignees - Issue assignees (optional, defaults to the owners configured for the identity)
+ * @param {Object} issueData.identity - Issue identity used for the fingerprint (optional)
+ * @param {string} issueData.identity.kind - Issue kind (e.g. 'deployment-failure')
+ * @param {string} issueData.identity.environment - Environment name (optional)
+ * @param {string} issueData.identity.component - Component name (optional)
+ * @param {Object} issueData.metadata - Additional state to store in the metadata marker (optional, requires identity)
+ * @param {Object} issueData.occurrence - Occurrence to record in the issue history (optional, requires identity)
+ * @param {string} issueData.occurrence.workflowRun - Workflow run URL
+ * @param {string} issueData.occurrence.commit - Commit SHA
+ * @param {string} issueData.occurrence.actor - Who triggered the run
+ * @param {string} issueData.occurrence.failurePoint - Where the run failed
+ * @param {Object} issueData.notification - Notification to send to the configured channels (optional, requires identity);
+ *   repeats within the deduplication window are counted instead of sent
+ * @param {string} issueData.notification.status - Notification status ('failure' or 'warning', defaults to 'failure')
+ * @param {Object} issueData.notification.fields - Additional fields to show (optional)
+ * @param {boolean} issueData.recordOutcome - Record the occurrence as a failed run in the outcome history
+ *   (optional, defaults to true); a single failure of a subject known to be flaky is filed with the flaky
+ *   label instead of a priority label, and notified as a warning
  * @param {Object} updateCriteria - Criteria for finding existing issue to update
  * @param {boolean} alwaysUpdate - If true, always update existing issue; if false, only update if body is different
  * @returns {Promise<Object>} Created or updated issue
  */
 async function createOrUpdateIssue(github, context, issueData, updateCriteria = {}, alwaysUpdate = false) {
-  const { title, body, labels = [], assignees = [] } = issueData;
+  const { identity = null, metadata: extraMetadata = {} } = issueData;
+
+  // Embed the metadata marker so the issue can be found again regardless of its title
+  let baseMetadata = identity ? { ...extraMetadata, ...createIssueMetadata(identity) } : null;
+
+  let redactedData = redactIssueData(issueData);
+  if (baseMetadata && redactedData.occurrence && redactedData.recordOutcome !== false) {
+    ({ issueData: redactedData, metadata: baseMetadata } =
+      await applyFlakiness(github, context, redactedData, baseMetadata, loadIssueSettings().flakiness));
+  }
+  const { title, labels = [] } = redactedData;
+
+  const lookupCriteria = {
+    fingerprint: baseMetadata ? baseMetadata.fingerprint : updateCriteria.fingerprint,
+    titlePattern: updateCriteria.titlePattern || title,
+    labels: updateCriteria.labels || labels,
+    state: updateCriteria.state || 'open',
+    author: updateCriteria.author
+  };
+
+  // Provision the labels from the registry so GitHub does not create them without color or description
+  await ensureLabels(github, context, labels);
 
   try {
     // Search for existing issues
-    const existingIssues = await findExistingIssues(github, context, {
-      titlePattern: updateCriteria.titlePattern || title,
-      labels: updateCriteria.labels || labels,
-      state: updateCriteria.state || 'open',
-      author: updateCriteria.author
-    });
+    const existingIssues = await findExistingIssues(github, context, lookupCriteria);
 
     if (existingIssues.length > 0) {
       const existingIssue = existingIssues[0]; // Use most recently updated
       console.log(`📝 Found existing issue #${existingIssue.number}: ${existingIssue.title}`);
 
-      // Check if we should update the existing issue
-      const shouldUpdate = alwaysUpdate ||
-        !existingIssue.body ||
-        existingIssue.body.trim() !== body.trim() ||
-        !arraysEqual(existingIssue.labels.map(l => l.name).sort(), labels.sort());
-
-      if (shouldUpdate) {
-        console.log('🔄 Updating existing issue...');
+      return await updateExistingIssue(github, context, existingIssue, redactedData, baseMetadata, alwaysUpdate);
+    } else {
+      console.log('📋 No existing issue found, creating new one...');
 
-        // Prepare update body with timestamp
-        const timestamp = new Date().toISOString();
-        const updateHeader = `> **Updated:** ${timestamp}\n> **Workflow Run:** ${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}\n\n`;
-        const updatedBody = updateHeader + body;
+      const newIssue = await createNewIssue(github, context, redactedData, baseMetadata);
 
-        const updatedIssue = await github.rest.issues.update({
-          owner: context.repo.owner,
-          repo: context.repo.repo,
-          issue_number: existingIssue.number,
-          title: title,
-          body: updatedBody,
-          labels: labels,
-          assignees: assignees.length > 0 ? assignees : undefined
-        });
-
-        console.log(`✅ Updated issue #${existingIssue.number}`);
-        return updatedIssue.data;
-      } else {
-        console.log('⏭️ Issue content unchanged, skipping update');
-        return existingIssue;
+      // Another job may have created the same issue while the search index was catching up
+      const keptIssue = await reconcileCreatedIssue(github, context, newIssue, lookupCriteria);
+      if (keptIssue.number !== newIssue.number) {
+        console.log(`🔀 Issue #${keptIssue.number} was created concurrently, recording this run there`);
+        return await updateExistingIssue(github, context, keptIssue, redactedData, baseMetadata, true);
       }
-    } else {
-      console.log('📋 No existing issue found, creating new one...');
 
-      // Add creation timestamp to body
-      const timestamp = new Date().toISOString();
-      const creationHeader = `> **Created:** ${timestamp}\n> **Workflow Run:** ${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}\n\n`;
-      const newBody = creationHeader + body;
+      return newIssue;
+    }
+
+  } catch (error) {
+    console.error('Error creating or updating issue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing issue with new content, recording the occurrence if one is given
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} existingIssue - Issue to update
+ * @param {Object} issueData - Issue data (see createOrUpdateIssue)
+ * @param {Object|null} baseMetadata - Metadata derived from the issue identity
+ * @param {boolean} alwaysUpdate - If true, always update; if false, only update if content changed
+ * @returns {Promise<Object>} Updated (or unchanged) issue
+ */
+async function updateExistingIssue(github, context, existingIssue, issueData, baseMetadata, alwaysUpdate) {
+  const { title, body: details, occurrence = null } = issueData;
+
+  // Labels added since the issue was filed (acknowledged, escalated priority, flaky) are kept
+  const existingLabels = existingIssue.labels.map(label => typeof label === 'string' ? label : label.name);
+  const labels = [...new Set([...existingLabels, ...(issueData.labels || [])])];
+
+  // Owners are only assigned while nobody has been assigned by hand
+  const assignees = issueData.assignees && issueData.assignees.length > 0
+    ? issueData.assignees
+    : ((existingIssue.assignees || []).length === 0 ? getOwnerAssignees(baseMetadata) : []);
+
+  // Carry over state stored in the existing marker and record the new occurrence
+  const timestamp = new Date().toISOString();
+  let metadata = baseMetadata ? { ...parseIssueMetadata(existingIssue.body), ...baseMetadata } : null;
+  if (metadata && occurrence) {
+    // Issues created before occurrence tracking count as one earlier occurrence
+    const previous = metadata.occurrenceCount ? metadata : { occurrenceCount: 1, firstSeen: existingIssue.created_at };
+    metadata = recordOccurrence(metadata, previous, occurrence, timestamp);
+  }
+
+  // The deduplication state travels in the marker alongside the occurrence history
+  const notificationPlan = planIssueNotification(metadata, issueData.notification, timestamp);
+  if (notificationPlan) {
+    metadata = { ...metadata, notification: notificationPlan.state };
+  }
+
+  // Prepare update body with timestamp
+  const updateHeader = formatBodyHeader('Updated', timestamp, context);
+  const body = buildIssueBody(details, metadata, {
+    maxLength: MAX_BODY_LENGTH - updateHeader.length,
+    artifactsUrl: getArtifactsUrl(context)
+  });
+
+  // Check if we should update the existing issue
+  const shouldUpdate = alwaysUpdate ||
+    Boolean(occurrence) ||
+    !existingIssue.body ||
+    existingIssue.body.trim() !== body.trim() ||
+    !arraysEqual([...existingLabels].sort(), [...labels].sort());
+
+  if (!shouldUpdate) {
+    console.log('⏭️ Issue content unchanged, skipping update');
+    return existingIssue;
+  }
+
+  console.log('🔄 Updating existing issue...');
+
+  const updatedBody = updateHeader + body;
+
+  const updatedIssue = await githubRequest(`Update issue #${existingIssue.number}`, () =>
+    github.rest.issues.update({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: existingIssue.number,
+      title: title,
+      body: updatedBody,
+      labels: labels,
+      assignees: assignees.length > 0 ? assignees : undefined
+    })
+  );
+
+  console.log(`✅ Updated issue #${existingIssue.number}`);
 
-      const newIssue = await github.rest.issues.create({
+  if (metadata && occurrence) {
+    await addIssueComment(github, context, existingIssue.number, formatOccurrenceComment(metadata, occurrence, details));
+  }
+
+  await notifyIssue(context, updatedIssue.data, issueData, metadata, notificationPlan);
+
+  return updatedIssue.data;
+}
+
+/**
+ * Create a new issue, recording the first occurrence if one is given
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issueData - Issue data (see createOrUpdateIssue)
+ * @param {Object|null} baseMetadata - Metadata derived from the issue identity
+ * @returns {Promise<Object>} Created issue
+ */
+async function createNewIssue(github, context, issueData, baseMetadata) {
+  const { title, body: details, labels = [], occurrence = null } = issueData;
+  const assignees = issueData.assignees && issueData.assignees.length > 0
+    ? issueData.assignees
+    : getOwnerAssignees(baseMetadata);
+
+  // Add creation timestamp to body
+  const timestamp = new Date().toISOString();
+  let metadata = baseMetadata && occurrence
+    ? recordOccurrence(baseMetadata, null, occurrence, timestamp)
+    : baseMetadata;
+  const notificationPlan = planIssueNotification(metadata, issueData.notification, timestamp);
+  if (notificationPlan) {
+    metadata = { ...metadata, notification: notificationPlan.state };
+  }
+  const creationHeader = formatBodyHeader('Created', timestamp, context);
+  const newBody = creationHeader + buildIssueBody(details, metadata, {
+    maxLength: MAX_BODY_LENGTH - creationHeader.length,
+    artifactsUrl: getArtifactsUrl(context)
+  });
+
+  const newIssue = await githubRequest('Create issue', () =>
+    github.rest.issues.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      title: title,
+      body: newBody,
+      labels: labels,
+      assignees: assignees.length > 0 ? assignees : undefined
+    })
+  );
+
+  console.log(`✨ Created new issue #${newIssue.data.number}`);
+
+  await notifyIssue(context, newIssue.data, issueData, metadata, notificationPlan);
+
+  return newIssue.data;
+}
+
+/**
+ * Merge issues created concurrently for the same fingerprint into the oldest one
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} createdIssue - Issue that was just created
+ * @param {Object} criteria - Criteria used to look up the issue (see findExistingIssues)
+ * @returns {Promise<Object>} The issue that was kept open
+ */
+async function reconcileCreatedIssue(github, context, createdIssue, criteria) {
+  const { labels = [] } = criteria;
+
+  try {
+    console.log(`🔁 Reconciling issue #${createdIssue.number} against the issue list...`);
+
+    // The list endpoint reads from the database rather than the search index, so it sees issues immediately
+    const listedIssues = await paginateRequest(
+      'List issues',
+      github.rest.issues.listForRepo,
+      {
         owner: context.repo.owner,
         repo: context.repo.repo,
-        title: title,
-        body: newBody,
-        labels: labels,
-        assignees: assignees.length > 0 ? assignees : undefined
-      });
-
-      console.log(`✨ Created new issue #${newIssue.data.number}`);
-      return newIssue.data;
+        state: 'open',
+        labels: labels.join(','),
+        sort: 'created',
+        direction: 'asc'
+      }
+    );
+
+    const twins = filterMatchingIssues(listedIssues.filter(issue => !issue.pull_request), criteria);
+    if (!twins.some(issue => issue.number === createdIssue.number)) {
+      twins.push(createdIssue);
+    }
+
+    // Issue numbers increase monotonically, so the lowest number is the oldest issue
+    twins.sort((a, b) => a.number - b.number);
+    const [keptIssue, ...duplicates] = twins;
+
+    if (duplicates.length > 0) {
+      console.log(`Found ${duplicates.length} concurrently created duplicates of #${keptIssue.number}`);
+      await closeIssuesAsDuplicates(github, context, duplicates, keptIssue.number, 'Duplicate issue created concurrently');
     }
 
+    return keptIssue;
+
   } catch (error) {
-    console.error('Error creating or updating issue:', error);
-    throw error;
+    // The issue exists either way; a failed reconciliation only risks a duplicate
+    console.error(`Failed to reconcile issue #${createdIssue.number}:`, error);
+    return createdIssue;
   }
 }
 
@@ -169,10 +467,28 @@ async function closeDuplicateIssues(github, context, criteria, keepIssueNumber,
 
     console.log(`Found ${duplicates.length} duplicate issues to close`);
 
-    const closedIssues = [];
-    for (const duplicate of duplicates) {
-      try {
-        const closeComment = `🔗 **${reason}**
+    return await closeIssuesAsDuplicates(github, context, duplicates, keepIssueNumber, reason);
+
+  } catch (error) {
+    console.error('Error closing duplicate issues:', error);
+    return [];
+  }
+}
+
+/**
+ * Comment on and close the given issues as duplicates of the main issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array} duplicates - Issues to close
+ * @param {number} keepIssueNumber - Issue number to keep open (source of truth)
+ * @param {string} reason - Reason for closing duplicates
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function closeIssuesAsDuplicates(github, context, duplicates, keepIssueNumber, reason) {
+  const closedIssues = [];
+  for (const duplicate of duplicates) {
+    try {
+      const closeComment = `🔗 **${reason}**
 
 This issue is a duplicate of #${keepIssueNumber}.
 
@@ -180,74 +496,191 @@ Please refer to #${keepIssueNumber} for the most up-to-date information and cont
 
 _This issue was automatically closed by the issue management system._`;
 
-        // Add comment explaining the closure
-        await github.rest.issues.createComment({
+      // Add comment explaining the closure
+      await githubRequest(`Comment on issue #${duplicate.number}`, () =>
+        github.rest.issues.createComment({
           owner: context.repo.owner,
           repo: context.repo.repo,
           issue_number: duplicate.number,
           body: closeComment
-        });
+        })
+      );
 
-        // Close the duplicate issue
-        await github.rest.issues.update({
+      // Close the duplicate issue; not planned keeps it apart from resolved failures
+      await githubRequest(`Close issue #${duplicate.number}`, () =>
+        github.rest.issues.update({
           owner: context.repo.owner,
           repo: context.repo.repo,
           issue_number: duplicate.number,
-          state: 'closed'
-        });
+          state: 'closed',
+          state_reason: 'not_planned'
+        })
+      );
+
+      console.log(`✅ Closed duplicate issue #${duplicate.number}`);
+      closedIssues.push(duplicate.number);
+
+    } catch (error) {
+      console.error(`Failed to close issue #${duplicate.number}:`, error);
+    }
+  }
+
+  return closedIssues;
+}
+
+/**
+ * Resolve open issues matching the given criteria after a successful run
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} criteria - Search criteria for finding the issues to resolve
+ * @param {Object} resolutionData - Resolution data
+ * @param {string} resolutionData.workflowRun - Workflow run URL of the successful run (optional)
+ * @param {string} resolutionData.commit - Commit SHA of the successful run (optional)
+ * @param {string} resolutionData.summary - Short description of what recovered (optional)
+ * @param {boolean} resolutionData.recordOutcome - Record the run as passed in the outcome history for the
+ *   criteria's fingerprint (optional, defaults to true)
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveIssues(github, context, criteria, resolutionData = {}) {
+  const {
+    workflowRun = getWorkflowRunUrl(context),
+    commit = context.sha,
+    summary = null,
+    recordOutcome = true
+  } = resolutionData;
+
+  // Passing runs are recorded whether or not an issue is open, so the flip rate covers every run
+  if (criteria.fingerprint && recordOutcome) {
+    await recordOutcomes(github, context, [{ fingerprint: criteria.fingerprint, passed: true }], loadIssueSettings().flakiness);
+  }
+
+  try {
+    console.log('🩹 Searching for open issues to resolve...');
 
-        console.log(`✅ Closed duplicate issue #${duplicate.number}`);
-        closedIssues.push(duplicate.number);
+    const openIssues = await findExistingIssues(github, context, { ...criteria, state: 'open' });
 
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
+    console.log(`Found ${openIssues.length} issues to resolve`);
+
+    const resolvedIssues = [];
+    for (const issue of openIssues) {
+      try {
+        const resolvedAt = new Date();
+        const timeToRecovery = formatDuration(resolvedAt - new Date(issue.created_at));
+
+        const resolveComment = `✅ **Resolved**
+
+${summary ? `${redactSecrets(summary)}\n\n` : ''}This issue was resolved by ${workflowRun ? `run ${workflowRun}` : 'a local run'} at commit ${commit}.
+
+**Time to Recovery:** ${timeToRecovery}
+**Resolved:** ${resolvedAt.toISOString()}
+
+_This issue was automatically closed by the issue management system._`;
+
+        await githubRequest(`Comment on issue #${issue.number}`, () =>
+          github.rest.issues.createComment({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            issue_number: issue.number,
+            body: resolveComment
+          })
+        );
+
+        await githubRequest(`Close issue #${issue.number}`, () =>
+          github.rest.issues.update({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            issue_number: issue.number,
+            state: 'closed',
+            state_reason: 'completed'
+          })
+        );
+
+        console.log(`✅ Resolved issue #${issue.number} (time to recovery: ${timeToRecovery})`);
+        resolvedIssues.push(issue.number);
+
+        // Close the loop on channels that were told about the failure
+        const metadata = parseIssueMetadata(issue.body);
+        if (metadata && metadata.notification) {
+          await sendNotification({
+            status: 'resolved',
+            title: `Resolved: ${issue.title}`,
+            fields: { 'Time to Recovery': timeToRecovery, Commit: commit },
+            issue: { number: issue.number, url: issue.html_url },
+            workflowRun,
+            repository: `${context.repo.owner}/${context.repo.repo}`
+          });
+        }
 
       } catch (error) {
-        console.error(`Failed to close issue #${duplicate.number}:`, error);
+        console.error(`Failed to resolve issue #${issue.number}:`, error);
       }
     }
 
-    return closedIssues;
+    return resolvedIssues;
 
   } catch (error) {
-    console.error('Error closing duplicate issues:', error);
+    console.error('Error resolving issues:', error);
     return [];
   }
 }
 
 /**
  * Create a standardized issue for template validation failures
+ *
+ * When per-template results are given, the issue shows a template × stage matrix. Child issues
+ * can be opened for each failing template; they are checked off in the parent issue and closed
+ * once their template passes again.
+ *
  * @param {Object} github - GitHub API client
  * @param {Object} context - GitHub context
  * @param {Object} validationData - Validation failure data
  * @param {string} validationData.workflowRun - Workflow run URL
- * @param {number} validationData.templatesAffected - Number of templates affected
+ * @param {number} validationData.templatesAffected - Number of templates affected (derived from the
+ *   results when they are given)
  * @param {string} validationData.filter - Template filter applied
- * @param {string[]} validationData.failedStages - Array of failed validation stages
+ * @param {string[]} validationData.failedStages - Array of failed validation stages (derived from the
+ *   results when they are given)
+ * @param {string} validationData.resultsDir - Directory of per-template result files (optional)
+ * @param {Array<Object>} validationData.templates - Discovered templates with name, category and path (optional)
+ * @param {boolean} validationData.createChildIssues - Open an issue per failing template (optional)
  * @returns {Promise<Object>} Created or updated issue
  */
 async function handleTemplateValidationIssue(github, context, validationData) {
-  const { workflowRun, templatesAffected, filter, failedStages } = validationData;
+  const { workflowRun, filter, resultsDir = null, templates = [], createChildIssues = false } = validationData;
+  const criteria = {
+    fingerprint: createIssueFingerprint({ kind: 'template-validation' }),
+    titlePattern: 'Template Validation Failure: Critical Issues Detected',
+    labels: ['template-validation'],
+    state: 'open'
+  };
+
+  const results = resultsDir ? loadTemplateResults(resultsDir, templates) : [];
+  const failingResults = results.filter(result => getFailedStages(result).length > 0);
+  await recordTemplateOutcomes(github, context, results, loadIssueSettings().flakiness);
+  const templatesAffected = resultsDir ? failingResults.length : validationData.templatesAffected;
+  const failedStages = resultsDir
+    ? TEMPLATE_STAGES.filter(stage => failingResults.some(result => result.stages[stage.key] === 'fail')).map(stage => stage.label)
+    : validationData.failedStages;
+
+  // Open, update and close the per-template child issues tracked on the parent issue
+  let childIssues = {};
+  if (resultsDir) {
+    const parentMetadata = await getOpenIssueMetadata(github, context, criteria);
+    childIssues = await syncTemplateChildIssues(github, context, results, (parentMetadata && parentMetadata.childIssues) || {}, {
+      workflowRun,
+      createChildIssues
+    });
+  }
 
   const title = 'Template Validation Failure: Critical Issues Detected';
-  const body = `## Template Validation Failure
-
-Critical issues have been detected in template validation.
-
-**Validation Run:** ${workflowRun}
-**Templates Affected:** ${templatesAffected}
-**Filter:** ${filter}
-
-## Failed Stages
-${failedStages.map(stage => `- ❌ ${stage}`).join('\n')}
-
-## Immediate Actions Required
-1. Review workflow logs for detailed error messages
-2. Fix syntax errors and deployment issues
-3. Re-run validation after fixes
-4. Consider disabling problematic templates temporarily
-
-**Priority:** High - Template reliability issue`;
+  const body = renderBodyTemplate('template-validation', {
+    workflowRun,
+    templatesAffected,
+    filter,
+    failedStages,
+    matrix: results.length > 0 ? renderTemplateMatrix(results, childIssues) : null,
+    childIssues: listChildIssues(childIssues)
+  });
 
   return await createOrUpdateIssue(
     github,
@@ -255,17 +688,140 @@ ${failedStages.map(stage => `- ❌ ${stage}`).join('\n')}
     {
       title,
       body,
-      labels: ['template-validation', 'bug', 'high-priority']
-    },
-    {
-      titlePattern: 'Template Validation Failure: Critical Issues Detected',
-      labels: ['template-validation'],
-      state: 'open'
+      labels: ['template-validation', 'bug', 'high-priority'],
+      identity: { kind: 'template-validation' },
+      metadata: resultsDir ? { childIssues } : {},
+      occurrence: {
+        workflowRun,
+        commit: context.sha,
+        actor: context.actor,
+        failurePoint: resultsDir
+          ? failingResults.map(result => result.path.replace(/^templates\//, '')).join(', ')
+          : failedStages.join(', ')
+      },
+      notification: { fields: { 'Templates Affected': templatesAffected, Filter: filter } }
     },
+    criteria,
     true // Always update to keep the issue current
   );
 }
 
+/**
+ * Open or update child issues for failing templates and close those whose template passes again
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array<Object>} results - Template results (see loadTemplateResults)
+ * @param {Object} previousChildIssues - Child issues tracked on the parent issue, keyed by template path
+ * @param {Object} options - Sync options
+ * @param {string} options.workflowRun - Workflow run URL
+ * @param {boolean} options.createChildIssues - Open issues for failing templates without one
+ * @returns {Promise<Object>} Child issues keyed by template path, each with number and resolved flag
+ */
+async function syncTemplateChildIssues(github, context, results, previousChildIssues, options) {
+  const { workflowRun, createChildIssues } = options;
+  const childIssues = { ...previousChildIssues };
+
+  for (const result of results) {
+    const failed = getFailedStages(result);
+    const tracked = childIssues[result.path];
+    const shortPath = result.path.replace(/^templates\//, '');
+
+    try {
+      if (failed.length > 0 && (createChildIssues || (tracked && !tracked.resolved))) {
+        const issue = await createOrUpdateIssue(
+          github,
+          context,
+          {
+            title: `Template Validation Failure: ${shortPath}`,
+            body: renderBodyTemplate('template-validation-child', {
+              ...result,
+              workflowRun,
+              stages: failed.join(', '),
+              matrix: renderTemplateMatrix([result])
+            }),
+            labels: ['template-validation', 'bug', namespacedLabel('category', result.category)],
+            identity: { kind: 'template-validation', component: result.path },
+            occurrence: {
+              workflowRun,
+              commit: context.sha,
+              actor: context.actor,
+              failurePoint: failed.join(', ')
+            }
+          },
+          {
+            titlePattern: new RegExp(`^Template Validation Failure: ${escapeRegExp(shortPath)}$`),
+            labels: ['template-validation'],
+            state: 'open'
+          },
+          true
+        );
+        childIssues[result.path] = { number: issue.number, resolved: false };
+      } else if (tracked && !tracked.resolved && isTemplatePassing(result)) {
+        await resolveIssues(
+          github,
+          context,
+          {
+            fingerprint: createIssueFingerprint({ kind: 'template-validation', component: result.path }),
+            labels: ['template-validation']
+          },
+          {
+            workflowRun,
+            summary: `The \`${shortPath}\` template is passing validation again.`
+          }
+        );
+        childIssues[result.path] = { ...tracked, resolved: true };
+      }
+    } catch (error) {
+      // A failing child issue must not prevent the parent issue from being filed
+      console.error(`Failed to update child issue for ${result.path}:`, error);
+    }
+  }
+
+  return childIssues;
+}
+
+/**
+ * Record the outcome of every template that was validated in the outcome history
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array<Object>} results - Template results (see loadTemplateResults)
+ * @param {Object} settings - Flakiness settings (see loadIssueSettings)
+ * @returns {Promise<void>}
+ */
+async function recordTemplateOutcomes(github, context, results, settings) {
+  const outcomes = results
+    .filter(result => isTemplatePassing(result) || getFailedStages(result).length > 0)
+    .map(result => {
+      const identity = { kind: 'template-validation', component: result.path };
+      return { fingerprint: createIssueFingerprint(identity), subject: describeSubject(identity), passed: isTemplatePassing(result) };
+    });
+
+  if (outcomes.length > 0) {
+    await recordOutcomes(github, context, outcomes, settings);
+  }
+}
+
+/**
+ * Determine whether a template passed validation (no failed stage and at least one stage run)
+ * @param {Object} result - Template result (see loadTemplateResults)
+ * @returns {boolean} True if the template passed
+ */
+function isTemplatePassing(result) {
+  const statuses = Object.values(result.stages);
+  return !statuses.includes('fail') && statuses.includes('pass');
+}
+
+/**
+ * List the per-template child issues shown as a checklist on the parent issue
+ * @param {Object} childIssues - Child issues keyed by template path (see syncTemplateChildIssues)
+ * @returns {Array<Object>} Child issues with template, number and resolved flag, open issues first
+ */
+function listChildIssues(childIssues) {
+  return Object.entries(childIssues)
+    .map(([templatePath, child]) => ({ ...child, template: templatePath.replace(/^templates\//, '') }))
+    .sort((a, b) => Number(a.resolved) - Number(b.resolved) || a.template.localeCompare(b.template));
+}
+
 /**
  * Create a standardized issue for security scan findings
  * @param {Object} github - GitHub API client
@@ -274,51 +830,80 @@ ${failedStages.map(stage => `- ❌ ${stage}`).join('\n')}
  * @param {string} securityData.scanId - Unique scan identifier
  * @param {number} securityData.criticalCount - Number of critical findings
  * @param {number} securityData.highCount - Number of high severity findings
+ * @param {number} securityData.mediumCount - Number of medium severity findings (optional)
+ * @param {number} securityData.lowCount - Number of low severity findings (optional)
  * @param {number} securityData.totalFindings - Total number of findings
+ * @param {string|string[]} securityData.sarifFiles - SARIF report(s) to render findings from (optional);
+ *   when given, the counts are derived from the reports and critical/high findings are tracked across
+ *   scans as new, persisting or fixed
+ * @param {string} securityData.baselineFile - Baseline of suppressed findings, applied to the SARIF
+ *   findings (optional, defaults to .security-baseline.json)
+ * @param {boolean} securityData.completeScan - Whether every scanner ran over the full scope (optional,
+ *   defaults to true); only a complete scan without critical findings resolves the issue
  * @param {string} securityData.workflowRun - Workflow run URL
  * @param {string} securityData.commit - Commit SHA
- * @returns {Promise<Object>} Created or updated issue
+ * @returns {Promise<Object|null>} Created or updated issue, or null if every critical finding is suppressed
+ * @throws {SarifParseError} If a SARIF report cannot be read
  */
 async function handleSecurityScanIssue(github, context, securityData) {
-  const { scanId, criticalCount, highCount, totalFindings, workflowRun, commit } = securityData;
-
-  const title = `🔴 CRITICAL Security Findings Detected - ${scanId}`;
-  const body = `## Critical Security Alert
-
-**${criticalCount} critical security findings** have been detected in the security scan.
-
-**Scan Details:**
-- **Scan ID:** ${scanId}
-- **Repository:** ${context.repo.owner}/${context.repo.repo}
-- **Commit:** ${commit}
-- **Workflow:** ${workflowRun}
-
-## Summary of Findings
-
-| Severity | Count |
-|----------|-------|
-| 🔴 Critical | ${criticalCount} |
-| 🟠 High | ${highCount} |
-| 🟡 Medium | 0 |
-| 🔵 Low | 0 |
-
-## Immediate Actions Required
-
-1. **Review Security Dashboard:** [Security Tab](https://github.com/${context.repo.owner}/${context.repo.repo}/security)
-2. **Address Critical Findings:** Focus on critical severity issues first
-3. **Implement Fixes:** Update code to resolve security vulnerabilities
-4. **Re-scan:** Run security scan again after fixes
-5. **Update Security Policies:** Consider additional security controls
-
-## Impact
+  const {
+    scanId,
+    workflowRun,
+    commit,
+    sarifFiles = null,
+    baselineFile = DEFAULT_BASELINE_FILE,
+    completeScan = true
+  } = securityData;
+  const criteria = {
+    fingerprint: createIssueFingerprint({ kind: 'security-scan' }),
+    titlePattern: /🔴 CRITICAL Security Findings Detected/,
+    labels: ['security', 'critical'],
+    state: 'open'
+  };
+
+  // Accepted findings listed in the baseline do not count toward the issue
+  const baselineResult = applySecurityBaseline(
+    sarifFiles ? parseSarifFiles(sarifFiles) : [],
+    sarifFiles ? loadSecurityBaseline(baselineFile) : []
+  );
+  const findings = baselineResult.activeFindings;
+  const counts = sarifFiles ? countFindings(findings) : {
+    critical: securityData.criticalCount,
+    high: securityData.highCount,
+    medium: securityData.mediumCount || 0,
+    low: securityData.lowCount || 0,
+    total: securityData.totalFindings
+  };
+  const blobUrl = `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/blob/${commit}`;
+
+  if (sarifFiles && counts.critical === 0) {
+    console.log('✅ No unsuppressed critical findings, no security issue needed');
+    if (completeScan) {
+      await resolveSecurityScanIssue(github, context, { sarifFiles, baselineFile, workflowRun, commit });
+    } else {
+      console.log('Partial scan, leaving any open security issue as it is');
+    }
+    return null;
+  }
 
-Critical findings may indicate:
-- Potential security vulnerabilities
-- Exposed secrets or credentials
-- Insecure configurations
-- Compliance violations
+  // Compare with the findings tracked on the open security issue
+  const previousTracked = sarifFiles ? await getTrackedFindings(github, context, criteria) : {};
+  const changes = trackFindings(findings, previousTracked, { scannedSources: sarifFiles ? getSarifSources(sarifFiles) : null });
 
-**Priority:** 🔴 HIGH - Immediate attention required`;
+  const title = `🔴 CRITICAL Security Findings Detected - ${scanId}`;
+  const body = renderBodyTemplate('security-scan', {
+    scanId,
+    commit,
+    workflowRun,
+    counts,
+    repository: `${context.repo.owner}/${context.repo.repo}`,
+    securityUrl: `https://github.com/${context.repo.owner}/${context.repo.repo}/security`,
+    changes: sarifFiles ? renderFindingChanges(changes).trimEnd() : null,
+    findings: findings.length > 0
+      ? renderFindingsBySeverity(findings, { blobUrl, tracked: changes.tracked, previousTracked })
+      : null,
+    suppressions: renderSuppressions(baselineResult, baselineFile)
+  });
 
   return await createOrUpdateIssue(
     github,
@@ -326,17 +911,48 @@ Critical findings may indicate:
     {
       title,
       body,
-      labels: ['security', 'critical', 'vulnerability']
-    },
-    {
-      titlePattern: /🔴 CRITICAL Security Findings Detected/,
-      labels: ['security', 'critical'],
-      state: 'open'
+      labels: ['security', 'critical', 'vulnerability'],
+      identity: { kind: 'security-scan' },
+      metadata: sarifFiles ? { trackedFindings: changes.tracked, untrackedFindings: changes.untracked } : {},
+      occurrence: {
+        workflowRun,
+        commit,
+        actor: context.actor,
+        failurePoint: `${counts.critical} critical, ${counts.high} high (scan ${scanId})`
+      },
+      notification: { fields: { 'Scan ID': scanId, 'New Findings': sarifFiles ? changes.newFindings.length : null } },
+      // Findings are not run outcomes; a finding that comes and goes is not flaky
+      recordOutcome: false
     },
+    criteria,
     true // Always update with latest scan results
   );
 }
 
+/**
+ * Read the findings tracked on the open security issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} criteria - Criteria for finding the security issue
+ * @returns {Promise<Object>} Tracked findings keyed by fingerprint (empty if there is no open issue)
+ */
+async function getTrackedFindings(github, context, criteria) {
+  const metadata = await getOpenIssueMetadata(github, context, criteria);
+  return (metadata && metadata.trackedFindings) || {};
+}
+
+/**
+ * Read the metadata marker of the open issue matching the given criteria
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} criteria - Criteria for finding the issue (see findExistingIssues)
+ * @returns {Promise<Object|null>} Issue metadata (null if there is no open issue or it has no marker)
+ */
+async function getOpenIssueMetadata(github, context, criteria) {
+  const [existingIssue] = await findExistingIssues(github, context, { ...criteria, state: 'open' });
+  return existingIssue ? parseIssueMetadata(existingIssue.body) : null;
+}
+
 /**
  * Create a standardized issue for deployment failures
  * @param {Object} github - GitHub API client
@@ -344,157 +960,100 @@ Critical findings may indicate:
  * @param {Object} deploymentData - Deployment failure data
  * @param {string} deploymentData.environment - Environment name
  * @param {string} deploymentData.deploymentType - Type of deployment
- * @param {string} deploymentData.failurePoint - Where the deployment failed
+ * @param {string} deploymentData.failurePoint - Where the deployment failed (optional with phases; defaults
+ *   to the first failed phase)
  * @param {string} deploymentData.workflowRun - Workflow run URL
- * @param {string} deploymentData.commit - Commit SHA
+ * @param {string} deploymentData.commit - Commit SHA; attributed to its pull request and the commits since the last
+ *   successful run of the workflow (needs `contents: read` and `pull-requests: read`)
  * @param {string} deploymentData.triggeredBy - Who triggered the deployment
- * @param {Object} deploymentData.status - Status of different phases
+ * @param {Object} deploymentData.phases - Phase names mapped to the jobs of the run that make up each phase
+ *   (optional); the status and duration of each phase are then read from the Actions API
+ * @param {Object} deploymentData.status - Status of different phases (used when phases is not given)
  * @param {string} deploymentData.template - Template used (optional)
+ * @param {string} deploymentData.region - Region deployed to (optional); recorded with the availability zone
+ *   and template so /retry can re-run the deployment with the same inputs
+ * @param {string} deploymentData.availabilityZone - Availability zone deployed to (optional)
  * @returns {Promise<Object>} Created or updated issue
  */
 async function handleDeploymentFailureIssue(github, context, deploymentData) {
-  const { environment, deploymentType, failurePoint, workflowRun, commit, triggeredBy, status, template } = deploymentData;
+  const { environment, deploymentType, workflowRun, commit, triggeredBy, phases, status = {}, template } = deploymentData;
+
+  const diagnostics = await collectRunDiagnostics(github, context, phases);
+  const { attribution } = loadIssueSettings();
+  const changes = await collectChangeAttribution(github, context, commit, attribution);
+  const phaseResults = diagnostics.phases || listGivenPhaseResults(status);
+  const failedPhase = phaseResults.find(phase => phase.result === 'failure' || phase.result === 'failed');
+  const failurePoint = deploymentData.failurePoint || (failedPhase ? failedPhase.name : 'Unknown');
+
+  const templateData = { environment, deploymentType, failurePoint, workflowRun, triggeredBy, commit, template, failedStep: diagnostics.failedStep, changes };
+  const formatResult = result => (result === 'success' ? '✅ Successful'
+    : result === 'failed' || result === 'failure' ? '❌ Failed'
+      : result === 'cancelled' ? '🚫 Cancelled' : '⏭️ Skipped');
 
   // Determine the specific issue type and content based on failure point
   let title, body, labels;
 
   if (failurePoint.includes('Infrastructure') || failurePoint.includes('Phase 1')) {
     title = `Complete Environment Deployment Failed: ${environment} environment`;
-    labels = ['deployment-failure', 'infrastructure-failure', environment];
-
-    body = `## Complete Environment Deployment Failure Report
-
-**Environment:** ${environment}
-**Deployment Type:** ${deploymentType}
-**Failure Point:** ${failurePoint}
-**Workflow Run:** ${workflowRun}
-**Triggered by:** ${triggeredBy}
-**Commit:** ${commit}
-
-The complete environment deployment has failed during the infrastructure phase.
-
-## Failure Analysis
-${Object.entries(status).map(([phase, result]) =>
-  `- **${phase}:** ${result === 'success' ? '✅ Successful' : result === 'failed' ? '❌ Failed' : result.includes('not attempted') ? '⏭️ Not attempted (dependency failed)' : '⏭️ Skipped'}`
-).join('\n')}
-
-## Components Affected
-- Kubernetes cluster deployment
-- Database provisioning
-- Networking and load balancer setup
-- Security policy configuration
-
-## Next Steps
-1. Review infrastructure deployment logs
-2. Check Scaleway console for partially created resources
-3. Verify Scaleway credentials and quotas
-4. Check for resource conflicts or naming issues
-5. Clean up any orphaned resources
-6. Re-run complete deployment after fixing issues
-
-## Recovery Options
-- **Full Retry:** Re-run this complete deployment workflow
-- **Manual Phases:** Run infrastructure and Coder deployments separately
-- **Cleanup First:** Use teardown workflow before retrying
-
-**Labels:** deployment-failure, infrastructure-failure, ${environment}`;
+    labels = ['deployment-failure', 'infrastructure-failure', envLabel(environment), phaseLabel(failurePoint)];
+    body = renderBodyTemplate('deployment-failure-infrastructure', {
+      ...templateData,
+      labels: labels.join(', '),
+      phases: listPhaseResults(phaseResults, result =>
+        (result.includes('not attempted') ? '⏭️ Not attempted (dependency failed)' : formatResult(result)))
+    });
 
   } else if (failurePoint.includes('Coder') || failurePoint.includes('Phase 2')) {
     title = `Coder Application Deployment Failed: ${environment} environment`;
-    labels = ['coder-failure', 'partial-deployment', environment];
-
-    body = `## Partial Environment Deployment Failure Report
-
-**Environment:** ${environment}
-**Deployment Type:** ${deploymentType}
-**Failure Point:** ${failurePoint}
-**Workflow Run:** ${workflowRun}
-**Triggered by:** ${triggeredBy}
-**Commit:** ${commit}
-
-The infrastructure deployed successfully, but Coder application deployment failed.
-
-## Deployment Status
-${Object.entries(status).map(([phase, result]) =>
-  `- **${phase}:** ${result === 'success' ? '✅ Successful' : result === 'failed' ? '❌ Failed' : '⏭️ Skipped'}`
-).join('\n')}
-
-## Available Resources
-- ✅ Kubernetes cluster is accessible
-- ✅ Database is running and accessible
-- ✅ Networking and load balancer configured
-- ✅ Security policies applied
-- ✅ Kubeconfig available for troubleshooting
-
-## Troubleshooting Steps
-1. **Access Cluster:** Use kubeconfig from infrastructure deployment
-2. **Check Resources:**
-   - \`kubectl get pods -n coder\`
-   - \`kubectl get pvc -n coder\`
-   - \`kubectl describe deployment coder -n coder\`
-3. **Review Logs:** Check Coder deployment workflow logs
-4. **Storage Issues:** Verify storage classes and PVC creation
-5. **Resource Limits:** Ensure cluster has sufficient resources
-
-## Recovery Options
-- **Retry Coder Only:** Run 'Deploy Coder Application' workflow
-- **Manual Investigation:** Use kubeconfig to troubleshoot
-- **Complete Retry:** Re-run this complete deployment workflow
-- **Infrastructure Intact:** No need to redeploy infrastructure
-
-**Labels:** coder-failure, partial-deployment, ${environment}`;
+    labels = ['coder-failure', 'partial-deployment', envLabel(environment), phaseLabel(failurePoint)];
+    body = renderBodyTemplate('deployment-failure-coder', {
+      ...templateData,
+      labels: labels.join(', '),
+      phases: listPhaseResults(phaseResults, formatResult)
+    });
 
   } else {
     // General deployment failure
     title = `Deployment Failed: ${environment} environment`;
-    labels = ['deployment-failure', environment, failurePoint.toLowerCase().replace(/\s+/g, '-')];
-
-    body = `## Deployment Failure Report
-
-**Environment:** ${environment}
-**Deployment Type:** ${deploymentType}
-**Failure Point:** ${failurePoint}
-**Workflow Run:** ${workflowRun}
-**Triggered by:** ${triggeredBy}
-**Commit:** ${commit}
-${template ? `**Template:** ${template}` : ''}
-
-The automated deployment has failed. Please check the workflow logs for details.
-
-## Deployment Status
-${Object.entries(status).map(([phase, result]) =>
-  `- **${phase}:** ${result === 'success' ? '✅ Successful' : result === 'failed' ? '❌ Failed' : '⏭️ Skipped'}`
-).join('\n')}
-
-## Next Steps
-1. Review the workflow logs
-2. Check Scaleway console for any resources that need cleanup
-3. Verify Scaleway credentials and quotas
-4. Re-run the deployment after fixing issues
-
-## Recovery Options
-- **Full Retry:** Re-run this deployment workflow
-- **Manual Investigation:** Use available resources for troubleshooting
-- **Cleanup First:** Use teardown workflow before retrying
-
-**Labels:** deployment-failure, ${environment}`;
+    labels = ['deployment-failure', envLabel(environment), phaseLabel(failurePoint)];
+    body = renderBodyTemplate('deployment-failure', {
+      ...templateData,
+      labels: labels.join(', '),
+      phases: listPhaseResults(phaseResults, formatResult)
+    });
   }
 
-  return await createOrUpdateIssue(
+  const issue = await createOrUpdateIssue(
     github,
     context,
     {
       title,
       body,
-      labels
+      labels,
+      identity: { kind: 'deployment-failure', environment },
+      metadata: { runInputs: collectRunInputs(deploymentData) },
+      occurrence: { workflowRun, commit, actor: triggeredBy, failurePoint },
+      notification: {
+        // Infrastructure that is still up after a Coder failure is a degraded, not a failed, environment
+        status: labels.includes('partial-deployment') ? 'warning' : 'failure',
+        fields: {
+          'Deployment Type': deploymentType,
+          Template: template,
+          'Failed Step': describeFailedStep(diagnostics.failedStep),
+          'Pull Request': describePullRequest(changes)
+        }
+      }
     },
     {
-      titlePattern: `.*Deployment Failed.*${environment}`,
-      labels: ['deployment-failure', environment],
+      titlePattern: new RegExp(`Deployment Failed: ${escapeRegExp(environment)} environment$`),
+      labels: [envLabel(environment)],
       state: 'open'
     },
     true // Always update with latest failure information
   );
+
+  await notifyPullRequest(github, context, changes, issue, { summary: `Deployment to ${environment}`, workflowRun }, attribution);
+  return issue;
 }
 
 /**
@@ -504,109 +1063,1186 @@ ${Object.entries(status).map(([phase, result]) =>
  * @param {Object} infraData - Infrastructure failure data
  * @param {string} infraData.environment - Environment name
  * @param {string} infraData.workflowRun - Workflow run URL
- * @param {string} infraData.commit - Commit SHA
+ * @param {string} infraData.commit - Commit SHA (attributed as in handleDeploymentFailureIssue)
  * @param {string} infraData.triggeredBy - Who triggered the deployment
- * @param {string} infraData.errorDetails - Specific error details (optional)
+ * @param {string} infraData.errorDetails - Specific error details (optional); classified into known
+ *   failure causes, which add a \`cause:*\` label and replace the generic troubleshooting guidance
+ * @param {string} infraData.region - Region deployed to (optional, recorded as in handleDeploymentFailureIssue)
+ * @param {string} infraData.availabilityZone - Availability zone deployed to (optional)
  * @returns {Promise<Object>} Created or updated issue
  */
 async function handleInfrastructureFailureIssue(github, context, infraData) {
   const { environment, workflowRun, commit, triggeredBy, errorDetails } = infraData;
 
-  const title = `Infrastructure Deployment Failed: ${environment} environment`;
-  const body = `## Infrastructure Deployment Failure Report
-
-**Environment:** ${environment}
-**Workflow Run:** ${workflowRun}
-**Triggered by:** ${triggeredBy}
-**Commit:** ${commit}
-
-Infrastructure deployment has failed for the ${environment} environment.
-
-${errorDetails ? `## Error Details\n\`\`\`\n${errorDetails}\n\`\`\`` : ''}
-
-## Components That May Be Affected
-- 🔧 Kubernetes cluster provisioning
-- 🗄️ Database setup and configuration
-- 🌐 Networking and load balancer configuration
-- 🔒 Security policies and RBAC setup
-- 📦 Backend state storage
-
-## Immediate Actions Required
-1. **Review Logs:** Check the workflow logs for specific error messages
-2. **Scaleway Console:** Verify resource status and check for quota limits
-3. **Resource Cleanup:** Clean up any partially created resources
-4. **Configuration Check:** Verify Terraform configuration and variables
-5. **Credentials:** Ensure Scaleway credentials are valid and have proper permissions
-
-## Troubleshooting Guide
-
-### Common Issues and Solutions
-- **Quota Exceeded:** Check Scaleway quotas for compute, storage, and networking
-- **Resource Conflicts:** Verify no naming conflicts with existing resources
-- **Permission Issues:** Ensure service account has necessary IAM permissions
-- **Regional Availability:** Confirm selected resources are available in target region
-- **State Lock:** Check for Terraform state locks that may be blocking deployment
-
-### Recovery Steps
-1. **Cleanup:** Run teardown workflow to remove partial resources
-2. **Investigate:** Review Scaleway console for any orphaned resources
-3. **Fix Issues:** Address the root cause identified in logs
-4. **Retry:** Re-run the infrastructure deployment
-
-## Next Steps
-- 🔍 Review detailed logs in workflow run
-- 🧹 Clean up any orphaned resources in Scaleway console
-- 🔧 Fix configuration or quota issues
-- 🔄 Re-run deployment after resolution
-
-**Priority:** High - Infrastructure foundation required for application deployment`;
+  const causes = classifyTerraformError(errorDetails);
+  const { failedStep } = await collectRunDiagnostics(github, context);
+  const { attribution } = loadIssueSettings();
+  const changes = await collectChangeAttribution(github, context, commit, attribution);
+  if (causes.length > 0) {
+    console.log(`🔎 Classified infrastructure failure as: ${causes.map(cause => cause.label).join(', ')}`);
+  }
 
-  return await createOrUpdateIssue(
+  const title = `Infrastructure Deployment Failed: ${environment} environment`;
+  const body = renderBodyTemplate('infrastructure-failure', {
+    environment,
+    workflowRun,
+    triggeredBy,
+    commit,
+    errorDetails,
+    causes,
+    failedStep,
+    changes
+  });
+
+  const issue = await createOrUpdateIssue(
     github,
     context,
     {
       title,
       body,
-      labels: ['deployment-failure', 'infrastructure-failure', environment, 'high-priority']
+      labels: ['deployment-failure', 'infrastructure-failure', envLabel(environment), 'high-priority', ...causes.map(cause => cause.label)],
+      identity: { kind: 'infrastructure-failure', environment },
+      metadata: { runInputs: collectRunInputs(infraData) },
+      occurrence: {
+        workflowRun,
+        commit,
+        actor: triggeredBy,
+        failurePoint: causes.length > 0
+          ? `Infrastructure Deployment (${causes.map(cause => cause.key).join(', ')})`
+          : 'Infrastructure Deployment'
+      },
+      notification: {
+        fields: {
+          Cause: causes.map(cause => cause.title).join(', '),
+          'Failed Step': describeFailedStep(failedStep),
+          'Pull Request': describePullRequest(changes)
+        }
+      }
     },
     {
-      titlePattern: 'Infrastructure Deployment Failed',
-      labels: ['infrastructure-failure', environment],
+      titlePattern: new RegExp(`^Infrastructure Deployment Failed: ${escapeRegExp(environment)} environment$`),
+      labels: ['infrastructure-failure', envLabel(environment)],
       state: 'open'
     },
     true // Always update with latest failure information
   );
-}
 
-/**
- * Utility function to compare arrays for equality
- * @param {Array} a - First array
- * @param {Array} b - Second array
- * @returns {boolean} True if arrays are equal
- */
-function arraysEqual(a, b) {
-  if (a.length !== b.length) return false;
-  return a.every((val, i) => val === b[i]);
+  await notifyPullRequest(github, context, changes, issue, { summary: `Infrastructure deployment to ${environment}`, workflowRun }, attribution);
+  return issue;
 }
 
 /**
- * Add a comment to an existing issue
+ * Create a standardized issue for environment teardown failures
  * @param {Object} github - GitHub API client
  * @param {Object} context - GitHub context
- * @param {number} issueNumber - Issue number to comment on
- * @param {string} comment - Comment body
- * @returns {Promise<Object>} Created comment
+ * @param {Object} teardownData - Teardown failure data
+ * @param {string} teardownData.environment - Environment name
+ * @param {string} teardownData.overallStatus - Overall teardown status ('failure' or 'partial')
+ * @param {string} teardownData.teardownMode - Teardown mode (e.g. 'complete', 'coder_only', 'infrastructure_only')
+ * @param {string} teardownData.workflowRun - Workflow run URL
+ * @param {string} teardownData.commit - Commit SHA (attributed as in handleDeploymentFailureIssue)
+ * @param {string} teardownData.triggeredBy - Who triggered the teardown
+ * @param {Object} teardownData.phases - Phase names mapped to the jobs of the run that make up each phase
+ *   (optional); the result and duration of each phase are then read from the Actions API
+ * @param {Object} teardownData.phaseResults - Result of each teardown phase (e.g. { 'Phase 1 (Coder)': 'success' };
+ *   used when phases is not given)
+ * @param {Array<string|Object>} teardownData.leftoverResources - Resources known to remain (optional);
+ *   strings or objects with type, name and id
+ * @param {string} teardownData.region - Region torn down (optional, recorded as in handleDeploymentFailureIssue)
+ * @param {string} teardownData.availabilityZone - Availability zone torn down (optional)
+ * @returns {Promise<Object>} Created or updated issue
  */
-async function addIssueComment(github, context, issueNumber, comment) {
-  try {
-    console.log(`💬 Adding comment to issue #${issueNumber}`);
-
-    const response = await github.rest.issues.createComment({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      issue_number: issueNumber,
-      body: comment
-    });
+async function handleTeardownFailureIssue(github, context, teardownData) {
+  const {
+    environment,
+    overallStatus,
+    teardownMode,
+    workflowRun,
+    commit,
+    triggeredBy,
+    phases,
+    phaseResults = {},
+    leftoverResources = []
+  } = teardownData;
+
+  const isPartial = overallStatus === 'partial';
+  const diagnostics = await collectRunDiagnostics(github, context, phases);
+  const { attribution } = loadIssueSettings();
+  const changes = await collectChangeAttribution(github, context, commit, attribution);
+  const results = diagnostics.phases || listGivenPhaseResults(phaseResults);
+  const failedPhases = results.filter(phase => phase.result !== 'success').map(phase => phase.name);
+
+  const title = `Environment Teardown ${isPartial ? 'Incomplete' : 'Failed'}: ${environment} environment`;
+  const labels = ['teardown-failure', 'cleanup-required', envLabel(environment)];
+  const body = renderBodyTemplate('teardown-failure', {
+    environment,
+    teardownMode,
+    overallStatus,
+    workflowRun,
+    triggeredBy,
+    commit,
+    isPartial,
+    phases: listPhaseResults(results, result =>
+      (result === 'success' ? '✅ Successful' : result === 'failure' ? '❌ Failed' : result === 'cancelled' ? '🚫 Cancelled' : '⏭️ Skipped')),
+    failedStep: diagnostics.failedStep,
+    changes,
+    leftoverResources: leftoverResources.map(formatLeftoverResource),
+    labels: labels.join(', ')
+  });
+
+  const issue = await createOrUpdateIssue(
+    github,
+    context,
+    {
+      title,
+      body,
+      labels,
+      identity: { kind: 'teardown-failure', environment },
+      metadata: { runInputs: collectRunInputs(teardownData) },
+      occurrence: {
+        workflowRun,
+        commit,
+        actor: triggeredBy,
+        failurePoint: failedPhases.length > 0 ? failedPhases.join(', ') : `${teardownMode} (${overallStatus})`
+      },
+      notification: {
+        status: isPartial ? 'warning' : 'failure',
+        fields: {
+          Mode: teardownMode,
+          'Failed Step': describeFailedStep(diagnostics.failedStep),
+          'Pull Request': describePullRequest(changes)
+        }
+      }
+    },
+    {
+      titlePattern: new RegExp(`Environment Teardown (Failed|Incomplete): ${escapeRegExp(environment)} environment$`),
+      labels: ['teardown-failure', envLabel(environment)],
+      state: 'open'
+    },
+    true // Always update with latest teardown results
+  );
+
+  await notifyPullRequest(github, context, changes, issue, { summary: `Teardown of ${environment}`, workflowRun }, attribution);
+  return issue;
+}
+
+/**
+ * Create a standardized issue for release failures, one issue per version
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} releaseData - Release failure data
+ * @param {string} releaseData.version - Release version without the 'v' prefix
+ * @param {string} releaseData.tag - Release tag
+ * @param {string} releaseData.jobName - Name of the job that failed
+ * @param {string} releaseData.workflowRun - Workflow run URL
+ * @param {string} releaseData.commit - Commit SHA
+ * @param {string} releaseData.triggeredBy - Who pushed the release tag
+ * @returns {Promise<Object>} Created or updated issue
+ */
+async function handleReleaseFailureIssue(github, context, releaseData) {
+  const { version, tag, jobName, workflowRun, commit, triggeredBy } = releaseData;
+
+  const title = `Release Failed - v${version}`;
+  const body = renderBodyTemplate('release-failure', { version, tag, jobName, workflowRun, triggeredBy, commit });
+
+  return await createOrUpdateIssue(
+    github,
+    context,
+    {
+      title,
+      body,
+      labels: ['bug', 'release-failure', 'high-priority'],
+      identity: { kind: 'release-failure', component: `v${version}` },
+      occurrence: { workflowRun, commit, actor: triggeredBy, failurePoint: jobName },
+      notification: { fields: { Tag: tag } }
+    },
+    {
+      titlePattern: new RegExp(`Release Failed - v${escapeRegExp(version)}$`),
+      labels: ['release-failure'],
+      state: 'open'
+    },
+    true // Always update to record each failed attempt
+  );
+}
+
+/**
+ * Format a leftover resource for the cleanup checklist
+ * @param {string|Object} resource - Resource description or object with type, name and id
+ * @returns {string} Checklist item text
+ */
+function formatLeftoverResource(resource) {
+  if (typeof resource === 'string') return resource;
+
+  const { type, name, id } = resource;
+  return [type ? `**${type}:**` : null, name, id ? `(\`${id}\`)` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * List phase results for the phase status loop of an issue body template
+ * @param {Array<Object>} results - Phases with name, result and duration in seconds
+ * @param {Function} formatResult - Function returning the display label for a result
+ * @returns {Array<Object>} Phases with name, result, label and formatted duration
+ */
+function listPhaseResults(results, formatResult) {
+  return results.map(({ name, result, duration }) => ({
+    name,
+    result,
+    label: formatResult(result),
+    duration: formatRunDuration(duration)
+  }));
+}
+
+/**
+ * Turn phase results given by a workflow into the list derived from the Actions API
+ * @param {Object} results - Result of each phase keyed by phase name
+ * @returns {Array<Object>} Phases with name, result and an unknown duration
+ */
+function listGivenPhaseResults(results) {
+  return Object.entries(results).map(([name, result]) => ({ name, result, duration: null }));
+}
+
+/**
+ * Inspect the current workflow run for phase status and the failing step
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} phases - Phase names mapped to job names (optional, see getRunDiagnostics)
+ * @returns {Promise<Object>} { phases, failedStep }; phases is null unless derived from the run, and
+ *   failedStep (for the body templates) is null if no step failed or the run cannot be inspected
+ */
+async function collectRunDiagnostics(github, context, phases = null) {
+  const diagnostics = await getRunDiagnostics(github, context, { phases });
+  if (!diagnostics) {
+    return { phases: null, failedStep: null };
+  }
+
+  const { failedStep } = diagnostics;
+  return {
+    phases: diagnostics.phases,
+    failedStep: failedStep && {
+      ...failedStep,
+      duration: formatRunDuration(failedStep.duration),
+      logLines: failedStep.log ? failedStep.log.split('\n').length : 0
+    }
+  };
+}
+
+/**
+ * Collect the inputs of a failed run that are needed to run it again (see issue-commands.js)
+ * @param {Object} runData - Failure data with region, availabilityZone and template (each optional)
+ * @returns {Object} Workflow inputs that are known, keyed by input name
+ */
+function collectRunInputs(runData) {
+  const inputs = {
+    region: runData.region,
+    availability_zone: runData.availabilityZone,
+    template: runData.template
+  };
+  return Object.fromEntries(Object.entries(inputs).filter(([, value]) => value));
+}
+
+/**
+ * Describe the failing step for notifications
+ * @param {Object|null} failedStep - Failed step (see collectRunDiagnostics)
+ * @returns {string|null} 'Job › Step' (null if no step failed)
+ */
+function describeFailedStep(failedStep) {
+  return failedStep ? `${failedStep.job} › ${failedStep.name}` : null;
+}
+
+/**
+ * Attribute the failing commit to its pull request and the commits since the last successful run
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} commit - Failing commit SHA (optional, defaults to the run's commit)
+ * @param {Object} settings - Attribution settings (see loadIssueSettings)
+ * @returns {Promise<Object|null>} Attribution for the body templates (see getChangeAttribution), with short
+ *   SHAs, the number of omitted commits and whether nothing changed; null if it cannot be read
+ */
+async function collectChangeAttribution(github, context, commit, settings) {
+  const attribution = await getChangeAttribution(github, context, { commit: commit || context.sha, maxCommits: settings.maxCommits });
+  if (!attribution) {
+    return null;
+  }
+
+  const { lastSuccessfulRun, commits, totalCommits } = attribution;
+  return {
+    ...attribution,
+    shortSha: attribution.commit.slice(0, 7),
+    lastSuccessfulRun: lastSuccessfulRun && { ...lastSuccessfulRun, shortSha: lastSuccessfulRun.headSha.slice(0, 7) },
+    omittedCommits: Math.max(0, (totalCommits || 0) - commits.length),
+    unchanged: totalCommits === 0
+  };
+}
+
+/**
+ * Describe the suspected pull request for notifications
+ * @param {Object|null} changes - Change attribution (see collectChangeAttribution)
+ * @returns {string|null} '#number title' (null if no pull request was found)
+ */
+function describePullRequest(changes) {
+  const pullRequest = changes && changes.pullRequest;
+  return pullRequest ? `#${pullRequest.number} ${pullRequest.title}` : null;
+}
+
+/**
+ * Link the failure issue from the suspected pull request, if enabled in the settings
+ *
+ * Nothing is posted when no commit changed since the last successful run, since the
+ * pull request cannot have caused the failure then.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object|null} changes - Change attribution (see collectChangeAttribution)
+ * @param {Object} issue - Failure issue
+ * @param {Object} details - Failure details (see linkPullRequestToIssue)
+ * @param {Object} settings - Attribution settings (see loadIssueSettings)
+ * @returns {Promise<void>}
+ */
+async function notifyPullRequest(github, context, changes, issue, details, settings) {
+  if (!changes || !changes.pullRequest || changes.unchanged || !issue) {
+    return;
+  }
+  if (!settings.commentOnPullRequest) {
+    return;
+  }
+
+  await linkPullRequestToIssue(github, context, changes.pullRequest, issue, details);
+}
+
+/**
+ * Resolve the open per-template issues of templates that pass validation again, and the template
+ * validation issue once no template is left failing
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string} resolutionData.resultsDir - Directory of per-template result files (optional); when
+ *   given, every validated template is recorded in the outcome history. A per-template issue is only
+ *   resolved when its template has a passing result here
+ * @param {Array<Object>} resolutionData.templates - Discovered templates with name, category and path (optional)
+ * @param {string} resolutionData.filter - Template filter of the run (optional); a filtered run only
+ *   validated some templates, so it never resolves the template validation issue
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveTemplateValidationIssue(github, context, resolutionData = {}) {
+  const { resultsDir = null, templates = [], filter = '*' } = resolutionData;
+  const criteria = {
+    fingerprint: createIssueFingerprint({ kind: 'template-validation' }),
+    titlePattern: 'Template Validation Failure: Critical Issues Detected',
+    labels: ['template-validation']
+  };
+
+  // Close the per-template child issues of passing templates before the parent issue
+  const resolvedChildren = [];
+  const failingChildren = [];
+  try {
+    const results = resultsDir ? loadTemplateResults(resultsDir, templates) : [];
+    if (resultsDir) {
+      await recordTemplateOutcomes(github, context, results, loadIssueSettings().flakiness);
+    }
+    const passingTemplates = new Set(results.filter(isTemplatePassing).map(result => result.path));
+
+    const parentMetadata = await getOpenIssueMetadata(github, context, criteria);
+    const childIssues = (parentMetadata && parentMetadata.childIssues) || {};
+
+    for (const [templatePath, child] of Object.entries(childIssues)) {
+      if (child.resolved) continue;
+      const childCriteria = {
+        fingerprint: createIssueFingerprint({ kind: 'template-validation', component: templatePath }),
+        labels: ['template-validation']
+      };
+      if (!passingTemplates.has(templatePath)) {
+        // Child issues closed by an earlier run or by hand are not flagged as resolved on the parent
+        const openChildren = await findExistingIssues(github, context, { ...childCriteria, state: 'open' });
+        if (openChildren.length > 0) failingChildren.push(templatePath);
+        continue;
+      }
+      resolvedChildren.push(...await resolveIssues(
+        github,
+        context,
+        childCriteria,
+        {
+          summary: `The \`${templatePath.replace(/^templates\//, '')}\` template is passing validation again.`,
+          ...resolutionData
+        }
+      ));
+    }
+  } catch (error) {
+    console.error('Failed to resolve template child issues:', error);
+    return resolvedChildren;
+  }
+
+  if (filter && filter !== '*') {
+    console.log(`⏭️ Only templates matching ${filter} were validated, leaving the template validation issue open`);
+    return resolvedChildren;
+  }
+  if (failingChildren.length > 0) {
+    console.log(`⏭️ ${failingChildren.length} template(s) have not passed validation again, leaving the template validation issue open`);
+    return resolvedChildren;
+  }
+
+  const resolvedParent = await resolveIssues(
+    github,
+    context,
+    criteria,
+    {
+      summary: 'Template validation is passing again.',
+      ...resolutionData
+    }
+  );
+
+  return [...resolvedParent, ...resolvedChildren];
+}
+
+/**
+ * Resolve the critical security findings issue once a scan reports no critical findings
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string|string[]} resolutionData.sarifFiles - SARIF report(s) of the latest scan (optional);
+ *   when given, the closing summary lists the findings fixed since the issue was last updated
+ * @param {string} resolutionData.baselineFile - Baseline of suppressed findings (optional)
+ * @returns {Promise<Array>} Array of closed issue numbers
+ * @throws {SarifParseError} If a SARIF report cannot be read; the issue is left open
+ */
+async function resolveSecurityScanIssue(github, context, resolutionData = {}) {
+  const { sarifFiles = null, baselineFile = DEFAULT_BASELINE_FILE } = resolutionData;
+  const criteria = {
+    fingerprint: createIssueFingerprint({ kind: 'security-scan' }),
+    titlePattern: /🔴 CRITICAL Security Findings Detected/,
+    labels: ['security', 'critical']
+  };
+
+  let summary = 'The latest security scan reported no critical findings.';
+  if (sarifFiles) {
+    // An unreadable report is not a clean scan; throws before anything is resolved
+    const findings = parseSarifFiles(sarifFiles);
+    try {
+      const baselineResult = applySecurityBaseline(findings, loadSecurityBaseline(baselineFile));
+      const changes = trackFindings(
+        baselineResult.activeFindings,
+        await getTrackedFindings(github, context, criteria),
+        { scannedSources: getSarifSources(sarifFiles) }
+      );
+      const remaining = Object.keys(changes.tracked).length + changes.untracked;
+      const suppressions = renderSuppressions(baselineResult, baselineFile);
+
+      summary += `\n\n## Closing Summary\n\n${renderFindingChanges(changes)}`;
+      if (suppressions) {
+        summary += `\n${suppressions}\n`;
+      }
+      if (remaining > 0) {
+        summary += `\n_${remaining} high severity findings remain open; see the Security tab for details._`;
+      }
+    } catch (error) {
+      console.error('Failed to build security closing summary:', error);
+    }
+  }
+
+  return await resolveIssues(github, context, criteria, { ...resolutionData, summary, recordOutcome: false });
+}
+
+/**
+ * Resolve deployment failure issues for an environment once a complete deployment succeeds
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string} resolutionData.environment - Environment name
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveDeploymentFailureIssue(github, context, resolutionData) {
+  const { environment } = resolutionData;
+
+  // The title fallback matches the complete, Coder-only and general deployment failure titles
+  return await resolveIssues(
+    github,
+    context,
+    {
+      fingerprint: createIssueFingerprint({ kind: 'deployment-failure', environment }),
+      titlePattern: new RegExp(`Deployment Failed: ${escapeRegExp(environment)} environment$`),
+      labels: [envLabel(environment)]
+    },
+    {
+      summary: `Deployment to the ${environment} environment succeeded.`,
+      ...resolutionData
+    }
+  );
+}
+
+/**
+ * Resolve infrastructure failure issues for an environment once infrastructure deploys successfully
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string} resolutionData.environment - Environment name
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveInfrastructureFailureIssue(github, context, resolutionData) {
+  const { environment } = resolutionData;
+
+  return await resolveIssues(
+    github,
+    context,
+    {
+      fingerprint: createIssueFingerprint({ kind: 'infrastructure-failure', environment }),
+      titlePattern: new RegExp(`^Infrastructure Deployment Failed: ${escapeRegExp(environment)} environment$`),
+      labels: ['infrastructure-failure', envLabel(environment)]
+    },
+    {
+      summary: `Infrastructure deployment to the ${environment} environment succeeded.`,
+      ...resolutionData
+    }
+  );
+}
+
+/**
+ * Resolve teardown failure issues for an environment once a teardown completes successfully
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string} resolutionData.environment - Environment name
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveTeardownFailureIssue(github, context, resolutionData) {
+  const { environment } = resolutionData;
+
+  return await resolveIssues(
+    github,
+    context,
+    {
+      fingerprint: createIssueFingerprint({ kind: 'teardown-failure', environment }),
+      titlePattern: new RegExp(`Environment Teardown (Failed|Incomplete): ${escapeRegExp(environment)} environment$`),
+      labels: ['teardown-failure', envLabel(environment)]
+    },
+    {
+      summary: `Teardown of the ${environment} environment completed successfully.`,
+      ...resolutionData
+    }
+  );
+}
+
+/**
+ * Resolve the release failure issue for a version once its release succeeds
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} resolutionData - Resolution data (see resolveIssues)
+ * @param {string} resolutionData.version - Release version without the 'v' prefix
+ * @returns {Promise<Array>} Array of closed issue numbers
+ */
+async function resolveReleaseFailureIssue(github, context, resolutionData) {
+  const { version } = resolutionData;
+
+  return await resolveIssues(
+    github,
+    context,
+    {
+      fingerprint: createIssueFingerprint({ kind: 'release-failure', component: `v${version}` }),
+      titlePattern: new RegExp(`Release Failed - v${escapeRegExp(version)}$`),
+      labels: ['release-failure']
+    },
+    {
+      summary: `Release v${version} was published successfully.`,
+      ...resolutionData
+    }
+  );
+}
+
+/**
+ * Escalate open managed issues that nobody has acknowledged within the threshold
+ *
+ * An issue counts as acknowledged once it carries the acknowledged label or a person (not
+ * a bot) has commented on it. Each escalation raises the priority label by one step,
+ * mentions the backup owners and is recorded in the issue's metadata marker; the next
+ * escalation happens when another threshold passes without acknowledgement.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} options - Sweep options
+ * @param {string} options.ownersFile - Path to the owners file (optional)
+ * @param {Date} options.now - Reference time (optional)
+ * @returns {Promise<Array>} Array of escalated issue numbers
+ */
+async function escalateUnacknowledgedIssues(github, context, options = {}) {
+  const { ownersFile = DEFAULT_OWNERS_FILE, now = new Date() } = options;
+  const config = loadOwnershipConfig(ownersFile);
+  const codeowners = loadCodeowners();
+  const { priorityLabels, acknowledgedLabel } = config.escalation;
+
+  try {
+    console.log('⏰ Searching for unacknowledged issues to escalate...');
+
+    const openIssues = await paginateRequest(
+      'List issues',
+      github.rest.issues.listForRepo,
+      {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        state: 'open',
+        sort: 'created',
+        direction: 'asc'
+      }
+    );
+
+    const escalatedIssues = [];
+    for (const issue of openIssues.filter(candidate => !candidate.pull_request)) {
+      const metadata = getManagedIssueMetadata(issue);
+      if (!metadata) continue;
+
+      const labels = issue.labels.map(label => (typeof label === 'string' ? label : label.name));
+      if (labels.includes(acknowledgedLabel)) continue;
+
+      const escalation = metadata.escalation || { level: 0, history: [] };
+      const thresholdHours = getEscalationThresholdHours(config, metadata.kind);
+      const waitingSince = new Date(escalation.lastEscalatedAt || issue.created_at);
+      if (now - waitingSince < thresholdHours * 60 * 60 * 1000) continue;
+
+      // Once the top priority is reached the issue has nothing left to escalate to
+      const currentPriority = priorityLabels.reduce((highest, label, index) => (labels.includes(label) ? index : highest), -1);
+      const nextPriority = priorityLabels[currentPriority + 1] || null;
+      if (!nextPriority && escalation.level > 0) continue;
+
+      try {
+        if (await isIssueAcknowledged(github, context, issue)) continue;
+
+        const { owners, backup } = resolveOwners(config, metadata, codeowners);
+        const notified = backup.length > 0 ? backup : owners;
+        const escalatedAt = now.toISOString();
+        const unacknowledgedFor = formatDuration(now - new Date(issue.created_at));
+
+        const updatedMetadata = {
+          ...metadata,
+          escalation: {
+            level: escalation.level + 1,
+            lastEscalatedAt: escalatedAt,
+            history: [
+              ...(escalation.history || []),
+              { level: escalation.level + 1, at: escalatedAt, priority: nextPriority, notified }
+            ]
+          }
+        };
+        const updatedLabels = nextPriority ? [...labels, nextPriority] : labels;
+
+        await ensureLabels(github, context, updatedLabels);
+        await githubRequest(`Update issue #${issue.number}`, () =>
+          github.rest.issues.update({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            issue_number: issue.number,
+            body: upsertIssueMetadata(issue.body, updatedMetadata),
+            labels: updatedLabels
+          })
+        );
+
+        await addIssueComment(github, context, issue.number, `🚨 **Escalation #${escalation.level + 1}**
+
+This issue has not been acknowledged for ${unacknowledgedFor} (threshold: ${thresholdHours}h).
+
+${nextPriority ? `**Priority raised to:** \`${nextPriority}\`\n` : ''}${notified.length > 0 ? `**Notifying:** ${formatMentions(notified)}\n` : ''}
+Comment on this issue or add the \`${acknowledgedLabel}\` label to acknowledge it and stop further escalation.
+
+_This issue was automatically escalated by the issue management system._`);
+
+        console.log(`🚨 Escalated issue #${issue.number} to level ${escalation.level + 1}`);
+        escalatedIssues.push(issue.number);
+
+      } catch (error) {
+        console.error(`Failed to escalate issue #${issue.number}:`, error);
+      }
+    }
+
+    return escalatedIssues;
+
+  } catch (error) {
+    console.error('Error escalating issues:', error);
+    return [];
+  }
+}
+
+/**
+ * Determine whether a person has responded to an issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Issue to check
+ * @returns {Promise<boolean>} True if the issue has a comment from someone other than a bot
+ */
+async function isIssueAcknowledged(github, context, issue) {
+  if (!issue.comments) return false;
+
+  const comments = await paginateRequest(
+    `List comments on issue #${issue.number}`,
+    github.rest.issues.listComments,
+    {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: issue.number
+    }
+  );
+
+  return comments.some(comment => comment.user && comment.user.type !== 'Bot');
+}
+
+/**
+ * Compute the stable fingerprint identifying a managed issue
+ * @param {Object} identity - Issue identity
+ * @param {string} identity.kind - Issue kind (e.g. 'deployment-failure')
+ * @param {string} identity.environment - Environment name (optional)
+ * @param {string} identity.component - Component name (optional)
+ * @returns {string} Fingerprint (16 hex characters)
+ */
+function createIssueFingerprint(identity) {
+  const { kind, environment = '', component = '' } = identity;
+  return crypto
+    .createHash('sha256')
+    .update([kind, environment || '', component || ''].join('\u0000'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Build the metadata stored in a managed issue's marker
+ * @param {Object} identity - Issue identity (see createIssueFingerprint)
+ * @returns {Object} Metadata including the fingerprint
+ */
+function createIssueMetadata(identity) {
+  const { kind, environment = null, component = null } = identity;
+  return {
+    fingerprint: createIssueFingerprint(identity),
+    kind,
+    environment,
+    component
+  };
+}
+
+/**
+ * Read the metadata marker from an issue body
+ * @param {string} body - Issue body
+ * @returns {Object|null} Parsed metadata, or null if the body has no valid marker
+ */
+function parseIssueMetadata(body) {
+  const match = (body || '').match(METADATA_MARKER_PATTERN);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    console.warn('Ignoring malformed issue metadata marker:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Read the metadata of a managed issue, trusting the marker only on issues the workflows opened
+ *
+ * Use this wherever the marker decides what is done on the issue's behalf (dispatching
+ * workflows, escalating, reporting), so a marker copied into someone else's issue is ignored.
+ *
+ * @param {Object} issue - Issue
+ * @returns {Object|null} Metadata, or null if the issue is not a managed issue
+ */
+function getManagedIssueMetadata(issue) {
+  const { user } = issue;
+  if (!user || user.type !== 'Bot' || user.login !== ISSUE_MANAGER_LOGIN) {
+    return null;
+  }
+
+  const metadata = parseIssueMetadata(issue.body);
+  return metadata && metadata.kind ? metadata : null;
+}
+
+/**
+ * Add or replace the metadata marker in an issue body
+ * @param {string} body - Issue body
+ * @param {Object} metadata - Metadata to store
+ * @returns {string} Issue body containing the marker
+ */
+function upsertIssueMetadata(body, metadata) {
+  const marker = `<!-- issue-manager:metadata ${JSON.stringify(metadata)} -->`;
+  const currentBody = body || '';
+
+  if (METADATA_MARKER_PATTERN.test(currentBody)) {
+    return currentBody.replace(METADATA_MARKER_PATTERN, () => marker);
+  }
+  return `${currentBody.trimEnd()}\n\n${marker}`;
+}
+
+/**
+ * Build a managed issue body from the failure details and metadata
+ * @param {string} details - Failure details
+ * @param {Object|null} metadata - Issue metadata (null for unmanaged issues)
+ * @param {Object} options - Body options
+ * @param {number} options.maxLength - Maximum body length; the details are truncated to fit (optional)
+ * @param {string} options.artifactsUrl - Link to the full output, shown when details are truncated (optional)
+ * @returns {string} Issue body with occurrence summary and metadata marker
+ */
+function buildIssueBody(details, metadata, options = {}) {
+  const { maxLength = MAX_BODY_LENGTH, artifactsUrl = null } = options;
+
+  if (!metadata) {
+    return sanitizeIssueText(details, { maxLength, artifactsUrl, secretValues: [] });
+  }
+
+  // The summary and marker are kept intact; only the details give way
+  const fittedMetadata = fitIssueMetadata(metadata);
+  const summary = fittedMetadata.occurrenceCount ? `${renderOccurrenceSummary(fittedMetadata)}\n\n` : '';
+  const reserved = upsertIssueMetadata(summary, fittedMetadata).length + 2;
+  const fittedDetails = sanitizeIssueText(details, { maxLength: maxLength - reserved, artifactsUrl, secretValues: [] });
+  const body = upsertIssueMetadata(summary + fittedDetails, fittedMetadata);
+
+  if (body.length > maxLength) {
+    throw new Error(`Issue body is ${body.length} characters, over the limit of ${maxLength}`);
+  }
+  return body;
+}
+
+/**
+ * Shrink issue metadata until its marker fits within MAX_METADATA_LENGTH
+ *
+ * The oldest occurrences are dropped first, down to MIN_OCCURRENCE_HISTORY; the occurrence
+ * count is kept, so the summary still reports every occurrence. Then tracked security
+ * findings are dropped from the end (lowest priority first) and counted as untracked.
+ *
+ * @param {Object} metadata - Issue metadata
+ * @param {number} maxLength - Maximum marker length (optional)
+ * @returns {Object} Metadata whose marker fits
+ * @throws {Error} If the marker is still too long with nothing left to drop
+ */
+function fitIssueMetadata(metadata, maxLength = MAX_METADATA_LENGTH) {
+  const markerLength = candidate => upsertIssueMetadata('', candidate).length;
+  // Number of entries to drop from the front of a list to save `excess` characters
+  const countToDrop = (entries, excess) => {
+    let saved = 0;
+    let count = 0;
+    while (count < entries.length && saved < excess) {
+      saved += JSON.stringify(entries[count]).length + 1;
+      count++;
+    }
+    return Math.max(count, 1);
+  };
+  let fitted = metadata;
+
+  while (markerLength(fitted) > maxLength) {
+    const excess = markerLength(fitted) - maxLength;
+    const { occurrences = [], trackedFindings = {} } = fitted;
+    const tracked = Object.entries(trackedFindings);
+
+    if (occurrences.length > MIN_OCCURRENCE_HISTORY) {
+      const dropped = Math.min(countToDrop(occurrences, excess), occurrences.length - MIN_OCCURRENCE_HISTORY);
+      fitted = { ...fitted, occurrences: occurrences.slice(dropped) };
+    } else if (tracked.length > 0) {
+      const dropped = countToDrop([...tracked].reverse(), excess);
+      fitted = {
+        ...fitted,
+        trackedFindings: Object.fromEntries(tracked.slice(0, tracked.length - dropped)),
+        untrackedFindings: (fitted.untrackedFindings || 0) + dropped
+      };
+    } else {
+      throw new Error(`Issue metadata marker is ${markerLength(fitted)} characters, over the limit of ${maxLength}`);
+    }
+  }
+
+  if (fitted !== metadata) {
+    console.warn(`⚠️ Shrunk the issue metadata marker to ${markerLength(fitted)} characters`);
+  }
+  return fitted;
+}
+
+/**
+ * Mask credentials in the free-text fields of issue data
+ * @param {Object} issueData - Issue data (see createOrUpdateIssue)
+ * @returns {Object} Issue data with redacted title, body and failure point
+ */
+function redactIssueData(issueData) {
+  const { title, body, occurrence = null } = issueData;
+  return {
+    ...issueData,
+    title: redactSecrets(title),
+    body: redactSecrets(body),
+    occurrence: occurrence ? { ...occurrence, failurePoint: redactSecrets(occurrence.failurePoint) } : occurrence
+  };
+}
+
+/**
+ * Look up the owners to assign to a managed issue
+ * @param {Object|null} metadata - Issue metadata holding the identity (null for unmanaged issues)
+ * @returns {string[]} Assignee logins (empty if no owners are configured)
+ */
+function getOwnerAssignees(metadata) {
+  if (!metadata) return [];
+  return toAssignees(resolveOwners(loadOwnershipConfig(), metadata, loadCodeowners()).owners);
+}
+
+/**
+ * Plan the notification for an issue that is being created or updated
+ * @param {Object|null} metadata - Issue metadata (null for unmanaged issues)
+ * @param {Object} notification - Notification requested by the handler (optional)
+ * @param {string} timestamp - ISO timestamp of the occurrence
+ * @returns {Object|null} Notification plan (see planNotification), or null if no notification applies
+ */
+function planIssueNotification(metadata, notification, timestamp) {
+  if (!metadata || !notification || getNotificationChannels().length === 0) return null;
+  return planNotification(metadata.notification || null, notification.status || 'failure', new Date(timestamp));
+}
+
+/**
+ * Record a failed run in the outcome history and adjust the issue if its subject is known to be flaky
+ *
+ * An issue of a flaky subject carries the flaky label and the flip rate. A single failure
+ * after a passing run is filed without priority labels and notified as a warning; a second
+ * failure in a row is treated as a real breakage again.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issueData - Issue data (see createOrUpdateIssue)
+ * @param {Object} metadata - Metadata derived from the issue identity
+ * @param {Object} settings - Flakiness settings (see loadIssueSettings)
+ * @returns {Promise<Object>} { issueData, metadata } with adjusted labels and notification, and the
+ *   flakiness assessment added to the metadata (unchanged if the history is unavailable)
+ */
+async function applyFlakiness(github, context, issueData, metadata, settings) {
+  const subject = describeSubject(metadata);
+  const assessments = await recordOutcomes(
+    github,
+    context,
+    [{ fingerprint: metadata.fingerprint, subject, passed: false }],
+    settings
+  );
+  const flakiness = assessments && assessments[metadata.fingerprint];
+  if (!flakiness) return { issueData, metadata };
+
+  const flakyMetadata = { ...metadata, flakiness };
+  if (!flakiness.flaky) return { issueData, metadata: flakyMetadata };
+
+  const labels = [...(issueData.labels || []).filter(label => label !== 'flaky'), 'flaky'];
+  if (flakiness.consecutiveFailures > 1) {
+    console.log(`🎲 ${subject} is flaky but failed ${flakiness.consecutiveFailures} runs in a row`);
+    return { issueData: { ...issueData, labels }, metadata: flakyMetadata };
+  }
+
+  console.log(`🎲 ${subject} is flaky, flip rate ${formatFlipRate(flakiness)}; filing this failure without priority`);
+  const { priorityLabels } = loadOwnershipConfig().escalation;
+  return {
+    issueData: {
+      ...issueData,
+      labels: labels.filter(label => !priorityLabels.includes(label)),
+      notification: issueData.notification ? { ...issueData.notification, status: 'warning' } : issueData.notification
+    },
+    metadata: flakyMetadata
+  };
+}
+
+/**
+ * Describe the subject of an issue identity for the outcome history
+ * @param {Object} identity - Issue identity (kind, environment, component)
+ * @returns {string} Description such as 'deployment-failure / dev'
+ */
+function describeSubject(identity) {
+  return [identity.kind, identity.environment, identity.component].filter(Boolean).join(' / ');
+}
+
+/**
+ * Send the notification for a managed issue unless its plan suppresses it
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Created or updated issue
+ * @param {Object} issueData - Issue data (see createOrUpdateIssue)
+ * @param {Object} metadata - Issue metadata as written
+ * @param {Object|null} plan - Notification plan (see planIssueNotification)
+ * @returns {Promise<void>}
+ */
+async function notifyIssue(context, issue, issueData, metadata, plan) {
+  if (!plan) return;
+
+  if (!plan.send) {
+    console.log(`🔕 Notification for issue #${issue.number} suppressed (${plan.suppressed} repeats within the deduplication window)`);
+    return;
+  }
+
+  const { title, notification, occurrence = null } = issueData;
+  await sendNotification({
+    status: notification.status || 'failure',
+    title,
+    fields: {
+      Environment: metadata.environment,
+      'Failure Point': occurrence ? occurrence.failurePoint : null,
+      ...notification.fields,
+      'Triggered by': occurrence ? occurrence.actor : null,
+      Occurrences: metadata.occurrenceCount,
+      'Repeats Since Last Alert': plan.suppressed || null
+    },
+    issue: { number: issue.number, url: issue.html_url },
+    workflowRun: occurrence ? occurrence.workflowRun : getWorkflowRunUrl(context),
+    repository: `${context.repo.owner}/${context.repo.repo}`
+  });
+}
+
+/**
+ * Build the link to the current workflow run
+ * @param {Object} context - GitHub context
+ * @returns {string|null} Workflow run URL (null when running outside a workflow)
+ */
+function getWorkflowRunUrl(context) {
+  if (!context.runId) return null;
+  return `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`;
+}
+
+/**
+ * Build the link to the artifacts of the current workflow run
+ * @param {Object} context - GitHub context
+ * @returns {string|null} Artifacts URL (null when running outside a workflow)
+ */
+function getArtifactsUrl(context) {
+  const workflowRun = getWorkflowRunUrl(context);
+  return workflowRun ? `${workflowRun}#artifacts` : null;
+}
+
+/**
+ * Build the header quoted at the top of a managed issue body
+ * @param {string} action - 'Created' or 'Updated'
+ * @param {string} timestamp - ISO timestamp
+ * @param {Object} context - GitHub context
+ * @returns {string} Header followed by a blank line
+ */
+function formatBodyHeader(action, timestamp, context) {
+  const workflowRun = getWorkflowRunUrl(context);
+  return `> **${action}:** ${timestamp}\n${workflowRun ? `> **Workflow Run:** ${workflowRun}\n` : ''}\n`;
+}
+
+/**
+ * Record a new occurrence in a managed issue's metadata
+ * @param {Object} metadata - Current issue metadata
+ * @param {Object|null} previous - Previously recorded occurrence state (null for a new issue)
+ * @param {Object} occurrence - Occurrence details (workflowRun, commit, actor, failurePoint)
+ * @param {string} timestamp - ISO timestamp of the occurrence
+ * @returns {Object} Metadata with updated occurrence count, first/last seen and history
+ */
+function recordOccurrence(metadata, previous, occurrence, timestamp) {
+  const { occurrenceCount = 0, firstSeen = timestamp, occurrences = [] } = previous || {};
+  const entry = {
+    number: occurrenceCount + 1,
+    timestamp,
+    workflowRun: occurrence.workflowRun || null,
+    commit: occurrence.commit || null,
+    actor: occurrence.actor || null,
+    failurePoint: occurrence.failurePoint || null
+  };
+
+  return {
+    ...metadata,
+    occurrenceCount: entry.number,
+    firstSeen,
+    lastSeen: timestamp,
+    occurrences: [...occurrences, entry].slice(-MAX_OCCURRENCE_HISTORY)
+  };
+}
+
+/**
+ * Render the occurrence summary and history table shown at the top of a managed issue
+ * @param {Object} metadata - Issue metadata with occurrence state
+ * @returns {string} Markdown summary
+ */
+function renderOccurrenceSummary(metadata) {
+  const { occurrenceCount, firstSeen, lastSeen, occurrences = [], flakiness = null } = metadata;
+  const cell = value => (value ? String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ') : '-');
+  const rows = [...occurrences].reverse().map(entry => {
+    const runId = entry.workflowRun ? entry.workflowRun.split('/').pop() : null;
+    const run = entry.workflowRun ? `[${runId}](${entry.workflowRun})` : '-';
+    const commit = entry.commit ? `\`${entry.commit.slice(0, 7)}\`` : '-';
+    return `| ${entry.number} | ${entry.timestamp} | ${run} | ${commit} | ${cell(entry.actor)} | ${cell(entry.failurePoint)} |`;
+  });
+  const omitted = occurrenceCount - occurrences.length;
+
+  return `## Occurrence Summary
+
+**Occurrences:** ${occurrenceCount}
+**First Seen:** ${firstSeen}
+**Last Seen:** ${lastSeen}${flakiness && flakiness.flaky ? `\n**Flakiness:** 🎲 flaky, flip rate ${formatFlipRate(flakiness)}` : ''}
+
+| # | Time | Run | Commit | Actor | Failure Point |
+|---|------|-----|--------|-------|---------------|
+${rows.join('\n')}${omitted > 0 ? `\n\n_${omitted} earlier occurrences not shown._` : ''}
+
+---`;
+}
+
+/**
+ * Format the comment posted on a managed issue when a failure recurs
+ * @param {Object} metadata - Issue metadata with occurrence state
+ * @param {Object} occurrence - Occurrence details (workflowRun, commit, actor, failurePoint)
+ * @param {string} details - Failure details for this occurrence
+ * @returns {string} Comment body
+ */
+function formatOccurrenceComment(metadata, occurrence, details) {
+  return `🔁 **Occurrence #${metadata.occurrenceCount}**
+
+**Workflow Run:** ${occurrence.workflowRun || 'unknown'}
+**Commit:** ${occurrence.commit || 'unknown'}
+**Triggered by:** ${occurrence.actor || 'unknown'}
+**Failure Point:** ${occurrence.failurePoint || 'unknown'}
+
+<details>
+<summary>Failure details</summary>
+
+${details}
+
+</details>`;
+}
+
+/**
+ * Utility function to compare arrays for equality
+ * @param {Array} a - First array
+ * @param {Array} b - Second array
+ * @returns {boolean} True if arrays are equal
+ */
+function arraysEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((val, i) => val === b[i]);
+}
+
+/**
+ * Utility function to escape a string for literal use in a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Utility function to format a duration in human-readable form
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g. "2d 3h 15m")
+ */
+function formatDuration(milliseconds) {
+  const totalMinutes = Math.max(0, Math.floor(milliseconds / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  parts.push(`${minutes}m`);
+  return parts.join(' ');
+}
+
+/**
+ * Add a comment to an existing issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {number} issueNumber - Issue number to comment on
+ * @param {string} comment - Comment body
+ * @returns {Promise<Object>} Created comment
+ */
+async function addIssueComment(github, context, issueNumber, comment) {
+  try {
+    console.log(`💬 Adding comment to issue #${issueNumber}`);
+
+    const response = await githubRequest(`Comment on issue #${issueNumber}`, () =>
+      github.rest.issues.createComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: issueNumber,
+        body: sanitizeIssueText(comment, { artifactsUrl: getArtifactsUrl(context) })
+      })
+    );
 
     console.log(`✅ Added comment to issue #${issueNumber}`);
     return response.data;
@@ -621,9 +2257,27 @@ module.exports = {
   findExistingIssues,
   createOrUpdateIssue,
   closeDuplicateIssues,
+  closeIssuesAsDuplicates,
   handleTemplateValidationIssue,
   handleSecurityScanIssue,
   handleDeploymentFailureIssue,
   handleInfrastructureFailureIssue,
-  addIssueComment
+  handleTeardownFailureIssue,
+  handleReleaseFailureIssue,
+  resolveIssues,
+  resolveTemplateValidationIssue,
+  resolveSecurityScanIssue,
+  resolveDeploymentFailureIssue,
+  resolveInfrastructureFailureIssue,
+  resolveTeardownFailureIssue,
+  resolveReleaseFailureIssue,
+  escalateUnacknowledgedIssues,
+  isIssueAcknowledged,
+  addIssueComment,
+  createIssueFingerprint,
+  parseIssueMetadata,
+  getManagedIssueMetadata,
+  upsertIssueMetadata,
+  formatDuration,
+  IssueLookupError
 };
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Issue Ownership
+ *
+ * Maps managed issues to the people responsible for them. Owners are read from
+ * .github/issue-owners.json, keyed by issue kind, environment and template path; template
+ * paths without an explicit entry fall back to CODEOWNERS. The same file holds the
+ * escalation settings used by the sweep for unacknowledged failure issues. The file is
+ * read once per process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Resolved against the repository this script lives in, whatever the working directory is
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_OWNERS_FILE = path.join(__dirname, '..', 'issue-owners.json');
+
+// Locations GitHub reads CODEOWNERS from, in order of precedence
+const CODEOWNERS_FILES = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']
+  .map(file => path.join(REPO_ROOT, file));
+
+const DEFAULT_ESCALATION = {
+  // Hours an issue may stay unacknowledged before it is escalated
+  thresholdHours: 24,
+  // Per-kind overrides of thresholdHours (e.g. { "security-scan": 4 })
+  kindThresholdHours: {},
+  // Priority labels from lowest to highest; each escalation moves one step up
+  priorityLabels: ['high-priority', 'critical'],
+  // Label (or comment from a person) that marks an issue as acknowledged
+  acknowledgedLabel: 'acknowledged'
+};
+
+// Configurations already read, by file path
+const loadedConfigs = new Map();
+
+/**
+ * Load the ownership configuration
+ * @param {string} ownersFile - Path to the owners file
+ * @returns {Object} Configuration with defaults, kinds, environments, templates and escalation settings
+ */
+function loadOwnershipConfig(ownersFile = DEFAULT_OWNERS_FILE) {
+  if (loadedConfigs.has(ownersFile)) {
+    return loadedConfigs.get(ownersFile);
+  }
+
+  let config = {};
+
+  if (!fs.existsSync(ownersFile)) {
+    console.warn(`⚠️ No issue owners file found at ${ownersFile}, issues get no owners and escalate with the defaults`);
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(ownersFile, 'utf8'));
+      console.log(`👥 Loaded issue owners from ${ownersFile}`);
+    } catch (error) {
+      console.error(`Failed to load issue owners ${ownersFile}:`, error.message);
+    }
+  }
+
+  const ownership = {
+    defaults: config.defaults || {},
+    kinds: config.kinds || {},
+    environments: config.environments || {},
+    templates: config.templates || {},
+    useCodeowners: config.useCodeowners !== false,
+    escalation: { ...DEFAULT_ESCALATION, ...(config.escalation || {}) }
+  };
+  loadedConfigs.set(ownersFile, ownership);
+  return ownership;
+}
+
+/**
+ * Load the CODEOWNERS rules of the repository
+ * @returns {Array<Object>} Rules with pattern and owners, in file order (empty if there is no CODEOWNERS file)
+ */
+function loadCodeowners() {
+  const codeownersFile = CODEOWNERS_FILES.find(file => fs.existsSync(file));
+  if (!codeownersFile) return [];
+
+  try {
+    return parseCodeowners(fs.readFileSync(codeownersFile, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load ${codeownersFile}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Parse CODEOWNERS content
+ * @param {string} content - CODEOWNERS file content
+ * @returns {Array<Object>} Rules with pattern and owners, in file order
+ */
+function parseCodeowners(content) {
+  return content
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+/**
+ * Test a path against a CODEOWNERS-style pattern
+ * @param {string} pattern - Pattern (e.g. '/templates/python/', '*.tf', 'templates/**')
+ * @param {string} filePath - Repository-relative path
+ * @returns {boolean} True if the pattern matches the path or one of its parent directories
+ */
+function matchesPathPattern(pattern, filePath) {
+  const normalizedPath = filePath.replace(/^\/+|\/+$/g, '');
+  // Patterns without an inner slash match at any depth
+  const anchored = pattern.replace(/\/+$/, '').includes('/');
+  const body = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+
+  const source = body
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/' || part === '**') return '(?:.*/)?' + (part === '**' ? '.*' : '');
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  const regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+  return regex.test(normalizedPath);
+}
+
+/**
+ * Resolve the owners of a managed issue
+ *
+ * The most specific entry wins: template path, then environment, then issue kind, then
+ * the defaults. Template paths without an entry in the owners file fall back to the
+ * last matching CODEOWNERS rule. Backup owners are resolved the same way, independently.
+ *
+ * @param {Object} config - Ownership configuration (see loadOwnershipConfig)
+ * @param {Object} identity - Issue identity (kind, environment, component)
+ * @param {Array<Object>} codeowners - CODEOWNERS rules (see parseCodeowners)
+ * @returns {Object} { owners, backup } as lists of '@user' or '@org/team' handles
+ */
+function resolveOwners(config, identity, codeowners = []) {
+  const { kind, environment = null, component = null } = identity || {};
+  const entries = [];
+
+  if (component && kind === 'template-validation') {
+    // Later patterns take precedence, as in CODEOWNERS
+    const templatePattern = Object.keys(config.templates)
+      .filter(pattern => matchesPathPattern(pattern, component))
+      .pop();
+    if (templatePattern) {
+      entries.push(config.templates[templatePattern]);
+    } else if (config.useCodeowners) {
+      const rule = codeowners.filter(candidate => matchesPathPattern(candidate.pattern, component)).pop();
+      if (rule && rule.owners.length > 0) {
+        entries.push({ owners: rule.owners });
+      }
+    }
+  }
+  if (environment && config.environments[environment]) entries.push(config.environments[environment]);
+  if (kind && config.kinds[kind]) entries.push(config.kinds[kind]);
+  entries.push(config.defaults);
+
+  const pick = field => {
+    const entry = entries.find(candidate => toHandles(candidate[field]).length > 0);
+    return entry ? toHandles(entry[field]) : [];
+  };
+
+  return { owners: pick('owners'), backup: pick('backup') };
+}
+
+/**
+ * Turn owner handles into issue assignees
+ * @param {string[]} handles - Owner handles ('@user', 'user' or '@org/team')
+ * @returns {string[]} User logins; teams cannot be assigned and are left out
+ */
+function toAssignees(handles) {
+  return handles
+    .filter(handle => !handle.includes('/') && !handle.includes('@', 1))
+    .map(handle => handle.replace(/^@/, ''));
+}
+
+/**
+ * Format owner handles as mentions
+ * @param {string[]} handles - Owner handles ('@user', 'user' or '@org/team')
+ * @returns {string} Space-separated mentions
+ */
+function formatMentions(handles) {
+  return handles.map(handle => (handle.startsWith('@') ? handle : `@${handle}`)).join(' ');
+}
+
+/**
+ * Get the escalation threshold for an issue kind
+ * @param {Object} config - Ownership configuration (see loadOwnershipConfig)
+ * @param {string} kind - Issue kind
+ * @returns {number} Threshold in hours
+ */
+function getEscalationThresholdHours(config, kind) {
+  const { thresholdHours, kindThresholdHours } = config.escalation;
+  return Number((kindThresholdHours || {})[kind] || thresholdHours);
+}
+
+/**
+ * Normalize a string or list of owner handles
+ * @param {string|string[]} value - Owner handle(s)
+ * @returns {string[]} Handles
+ */
+function toHandles(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(handle => String(handle).trim()).filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_OWNERS_FILE,
+  loadOwnershipConfig,
+  loadCodeowners,
+  parseCodeowners,
+  matchesPathPattern,
+  resolveOwners,
+  toAssignees,
+  formatMentions,
+  getEscalationThresholdHours
+};
@@ -0,0 +1,79 @@
+/**
+ * Issue Manager Settings
+ *
+ * Tunes how the issue manager treats failures: the thresholds used to tell flaky
+ * templates and environments apart from broken ones, how failures are attributed to
+ * changes, and how reported issues are triaged. The settings are read from
+ * .github/issue-manager.json, once per process, and missing keys take the defaults below.
+ * Who owns an issue and when it is escalated live in .github/issue-owners.json
+ * (see issue-owners.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Resolved against the repository this script lives in, whatever the working directory is
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, '..', 'issue-manager.json');
+
+const DEFAULT_FLAKINESS = {
+  // Number of most recent runs per subject the flip rate is computed over
+  windowSize: 20,
+  // Runs a subject needs before it can be considered flaky
+  minRuns: 5,
+  // Share of consecutive runs with a changed outcome (0-1) from which a subject is flaky
+  flipRateThreshold: 0.3,
+  // Days without a run after which a subject is dropped from the outcome history
+  retentionDays: 30
+};
+
+const DEFAULT_ATTRIBUTION = {
+  // Commits since the last successful run listed in failure issues
+  maxCommits: 20,
+  // Comment on the pull request a failing commit belongs to with a link to the failure issue
+  commentOnPullRequest: false
+};
+
+const DEFAULT_TRIAGE = {
+  // Close a bug report that matches exactly one open failure issue, on its template or failed phase, as its
+  // duplicate instead of linking them
+  closeDuplicates: true
+};
+
+// Settings already read, by file path
+const loadedSettings = new Map();
+
+/**
+ * Load the issue manager settings
+ * @param {string} settingsFile - Path to the settings file
+ * @returns {Object} Settings with flakiness, attribution and triage
+ */
+function loadIssueSettings(settingsFile = DEFAULT_SETTINGS_FILE) {
+  if (loadedSettings.has(settingsFile)) {
+    return loadedSettings.get(settingsFile);
+  }
+
+  let config = {};
+  if (!fs.existsSync(settingsFile)) {
+    console.warn(`⚠️ No issue manager settings found at ${settingsFile}, using the defaults`);
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+      console.log(`⚙️ Loaded issue manager settings from ${settingsFile}`);
+    } catch (error) {
+      console.error(`Failed to load issue manager settings ${settingsFile}:`, error.message);
+    }
+  }
+
+  const settings = {
+    flakiness: { ...DEFAULT_FLAKINESS, ...(config.flakiness || {}) },
+    attribution: { ...DEFAULT_ATTRIBUTION, ...(config.attribution || {}) },
+    triage: { ...DEFAULT_TRIAGE, ...(config.triage || {}) }
+  };
+  loadedSettings.set(settingsFile, settings);
+  return settings;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS_FILE,
+  loadIssueSettings
+};
@@ -0,0 +1,416 @@
+/**
+ * Inbound Issue Triage
+ *
+ * Processes issues filed by people through the issue forms in .github/ISSUE_TEMPLATE
+ * (bug reports, feature requests and questions). The rendered form sections of a newly
+ * opened issue are parsed for the environment, the affected component, a workspace
+ * template and the severity, which are turned into the same labels the issue manager
+ * puts on failure issues (env:*, phase:*, category:* and the priority labels).
+ *
+ * Bug reports and questions are then compared with the open failure issues created by
+ * the issue manager. A bug report that matches exactly one of them, on its template or on
+ * the phase that failed, is closed as its duplicate (unless disabled with
+ * `triage.closeDuplicates` in the settings); other matches are linked from both sides, so
+ * the report and the failure issue find each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  findExistingIssues,
+  getManagedIssueMetadata,
+  addIssueComment,
+  closeIssuesAsDuplicates
+} = require('./issue-manager.js');
+const { loadOwnershipConfig, DEFAULT_OWNERS_FILE } = require('./issue-owners.js');
+const { loadIssueSettings, DEFAULT_SETTINGS_FILE } = require('./issue-settings.js');
+const { namespacedLabel, envLabel, phaseLabel, ensureLabels } = require('./label-registry.js');
+const { githubRequest, paginateRequest } = require('./github-request.js');
+
+const DEFAULT_TEMPLATES_DIR = 'templates';
+
+// Issue forms, recognized by a section only that form has, with the sections holding each field
+const ISSUE_FORMS = {
+  bug: {
+    heading: 'Bug Description',
+    component: 'Component',
+    environment: 'Environment Information',
+    severity: 'Severity',
+    matchFailures: true
+  },
+  feature: {
+    heading: 'Problem Statement',
+    component: 'Feature Category',
+    matchFailures: false
+  },
+  question: {
+    heading: 'Your Question',
+    component: 'Question Category',
+    environment: 'Environment (if relevant)',
+    matchFailures: true
+  }
+};
+
+// Environments the deployment workflows accept, with the other names people use for them
+const ENVIRONMENTS = {
+  dev: ['dev', 'development'],
+  staging: ['staging', 'stage'],
+  prod: ['prod', 'production']
+};
+
+// Failure issue kinds tied to an environment
+const ENVIRONMENT_KINDS = ['deployment-failure', 'infrastructure-failure', 'teardown-failure'];
+
+// Component and category choices of the forms mapped to the failed phase and the failure issue kinds they concern
+const COMPONENTS = {
+  'Infrastructure Deployment': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Terraform Configuration': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Infrastructure/Terraform': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Database': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Database Management': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Networking': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Networking/Ingress': { phase: 'infrastructure', kinds: ['infrastructure-failure', 'deployment-failure'] },
+  'Kubernetes/Coder': { phase: 'coder', kinds: ['deployment-failure'] },
+  'Kubernetes/Coder Configuration': { phase: 'coder', kinds: ['deployment-failure'] },
+  'Templates': { phase: null, kinds: ['template-validation'] },
+  'Workspace Templates': { phase: null, kinds: ['template-validation'] },
+  'CI/CD Workflows': { phase: null, kinds: ENVIRONMENT_KINDS },
+  'Scripts/Automation': { phase: null, kinds: ENVIRONMENT_KINDS }
+};
+
+// Severity choices of the bug form mapped to a step of escalation.priorityLabels (-1 is the highest)
+const SEVERITY_PRIORITIES = {
+  High: 0,
+  Critical: -1
+};
+
+// Value GitHub renders for form fields left empty
+const NO_RESPONSE = '_No response_';
+
+// Hidden marker of the comment linking a failure issue to a report, so a report is linked once
+const REPORT_LINK_MARKER = reportNumber => `<!-- issue-manager:report-link #${reportNumber} -->`;
+
+/**
+ * Triage a newly opened issue
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context of an issues event
+ * @param {Object} options - Triage options
+ * @param {string} options.ownersFile - Path to the owners file, for the priority labels (optional)
+ * @param {string} options.settingsFile - Path to the issue manager settings (optional)
+ * @param {string} options.templatesDir - Directory of the workspace templates (optional)
+ * @returns {Promise<Object|null>} { form, fields, labels, related, duplicateOf } (null if the issue was not
+ *   filed through a known issue form or is managed by the issue manager)
+ */
+async function triageIssue(github, context, options = {}) {
+  const {
+    ownersFile = DEFAULT_OWNERS_FILE,
+    settingsFile = DEFAULT_SETTINGS_FILE,
+    templatesDir = DEFAULT_TEMPLATES_DIR
+  } = options;
+  const { issue } = context.payload;
+
+  if (getManagedIssueMetadata(issue)) {
+    console.log(`Issue #${issue.number} is managed by the issue manager, nothing to triage`);
+    return null;
+  }
+
+  const sections = parseIssueForm(issue.body);
+  const form = Object.keys(ISSUE_FORMS).find(name => sections[ISSUE_FORMS[name].heading] !== undefined);
+  if (!form) {
+    console.log(`Issue #${issue.number} was not filed through an issue form, nothing to triage`);
+    return null;
+  }
+
+  const config = loadOwnershipConfig(ownersFile);
+  const { triage } = loadIssueSettings(settingsFile);
+  const fields = extractFields(ISSUE_FORMS[form], sections, listTemplates(templatesDir));
+  console.log(`🧭 Triaging ${form} #${issue.number}: ${JSON.stringify(fields)}`);
+
+  const labels = await labelReport(github, context, issue, deriveLabels(fields, config.escalation.priorityLabels));
+
+  const related = ISSUE_FORMS[form].matchFailures ? await findRelatedFailureIssues(github, context, fields) : [];
+  if (related.length === 0) {
+    return { form, fields, labels, related: [], duplicateOf: null };
+  }
+
+  const relatedNumbers = related.map(failureIssue => failureIssue.number);
+  console.log(`🔗 Issue #${issue.number} matches open failure issues: ${relatedNumbers.map(number => `#${number}`).join(', ')}`);
+
+  if (form === 'bug' && related.length === 1 && triage.closeDuplicates && isDuplicateMatch(fields, related[0])) {
+    const [failureIssue] = related;
+    await linkReport(github, context, failureIssue, issue, `📣 Also reported in #${issue.number}, which was closed as a duplicate of this issue.`);
+    await closeIssuesAsDuplicates(github, context, [issue], failureIssue.number, 'Failure already tracked by the issue manager');
+    return { form, fields, labels, related: relatedNumbers, duplicateOf: failureIssue.number };
+  }
+
+  for (const failureIssue of related) {
+    await linkReport(github, context, failureIssue, issue, `📣 Possibly related report: #${issue.number}`);
+  }
+  await addIssueComment(github, context, issue.number, `🔗 **Related failure issues**
+
+This ${form === 'bug' ? 'report' : 'question'} looks related to failures the automated workflows are tracking:
+
+${related.map(failureIssue => `- #${failureIssue.number}`).join('\n')}
+
+Updates on the failures are posted there.
+
+_This comment was posted by the issue management system._`);
+
+  return { form, fields, labels, related: relatedNumbers, duplicateOf: null };
+}
+
+/**
+ * Parse the sections of an issue created from an issue form
+ * @param {string} body - Issue body
+ * @returns {Object} Section values keyed by heading; null for fields left empty
+ */
+function parseIssueForm(body) {
+  const sections = {};
+  let heading = null;
+  let lines = [];
+
+  const flush = () => {
+    if (heading === null) return;
+    const value = lines.join('\n').trim();
+    sections[heading] = value === '' || value === NO_RESPONSE ? null : value;
+  };
+
+  for (const line of String(body || '').split(/\r?\n/)) {
+    const match = line.match(/^###\s+(.+?)\s*$/);
+    if (match) {
+      flush();
+      heading = match[1];
+      lines = [];
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Extract the triage fields from the sections of an issue form
+ * @param {Object} form - Issue form (see ISSUE_FORMS)
+ * @param {Object} sections - Section values (see parseIssueForm)
+ * @param {Array<Object>} templates - Workspace templates with name, category and path (see listTemplates)
+ * @returns {Object} { environment, component, template, severity }, each null if not given
+ */
+function extractFields(form, sections, templates) {
+  const component = (form.component && sections[form.component]) || null;
+  const severity = form.severity && sections[form.severity]
+    ? sections[form.severity].split(/\s+-\s+/)[0].trim()
+    : null;
+
+  return {
+    environment: form.environment ? parseEnvironment(sections[form.environment]) : null,
+    component,
+    template: findTemplate(Object.values(sections).filter(Boolean).join('\n'), templates),
+    severity
+  };
+}
+
+/**
+ * Read the environment from an environment details section
+ * @param {string|null} details - Section value (e.g. '- OS: macOS\n- Environment: staging')
+ * @returns {string|null} Environment name (null if not given, unknown or ambiguous, such as the unchanged
+ *   '[dev/staging/prod]' placeholder)
+ */
+function parseEnvironment(details) {
+  const match = String(details || '').match(/^[\s*-]*Environment:\s*(.+)$/im);
+  if (!match) return null;
+
+  const words = match[1].toLowerCase().split(/[^a-z]+/);
+  const environments = Object.keys(ENVIRONMENTS).filter(environment =>
+    ENVIRONMENTS[environment].some(name => words.includes(name)));
+  return environments.length === 1 ? environments[0] : null;
+}
+
+/**
+ * List the workspace templates of the repository
+ * @param {string} templatesDir - Directory of the workspace templates, as <category>/<name>
+ * @returns {Array<Object>} Templates with name, category and path (empty if the directory cannot be read)
+ */
+function listTemplates(templatesDir) {
+  try {
+    return fs.readdirSync(templatesDir, { withFileTypes: true })
+      .filter(category => category.isDirectory())
+      .flatMap(category => fs.readdirSync(path.join(templatesDir, category.name), { withFileTypes: true })
+        .filter(template => template.isDirectory())
+        .map(template => ({
+          name: template.name,
+          category: category.name,
+          path: `templates/${category.name}/${template.name}`
+        })));
+  } catch (error) {
+    console.error(`Failed to list templates in ${templatesDir}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the workspace template a report is about
+ * @param {string} text - Report text
+ * @param {Array<Object>} templates - Workspace templates (see listTemplates)
+ * @returns {Object|null} The only template named in the text (null if none or several are)
+ */
+function findTemplate(text, templates) {
+  const words = new Set(text.toLowerCase().split(/[^a-z0-9_-]+/));
+  const named = templates.filter(template => words.has(template.name.toLowerCase()));
+  return named.length === 1 ? named[0] : null;
+}
+
+/**
+ * Derive the managed labels for the triage fields
+ * @param {Object} fields - Triage fields (see extractFields)
+ * @param {string[]} priorityLabels - Priority labels from lowest to highest
+ * @returns {string[]} Labels to add
+ */
+function deriveLabels(fields, priorityLabels) {
+  const labels = [];
+  const component = COMPONENTS[fields.component];
+
+  if (fields.environment) {
+    labels.push(envLabel(fields.environment));
+  }
+  if (component && component.phase) {
+    labels.push(namespacedLabel('phase', component.phase));
+  }
+  if (fields.template) {
+    labels.push(namespacedLabel('category', fields.template.category));
+  }
+  if (SEVERITY_PRIORITIES[fields.severity] !== undefined && priorityLabels.length > 0) {
+    labels.push(priorityLabels.at(SEVERITY_PRIORITIES[fields.severity]));
+  }
+
+  return labels;
+}
+
+/**
+ * Add labels to the report
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Report
+ * @param {string[]} labels - Labels to add
+ * @returns {Promise<string[]>} Labels that were added
+ */
+async function labelReport(github, context, issue, labels) {
+  const currentLabels = issue.labels.map(label => (typeof label === 'string' ? label : label.name));
+  const addedLabels = labels.filter(label => !currentLabels.includes(label));
+  if (addedLabels.length === 0) {
+    return [];
+  }
+
+  await ensureLabels(github, context, addedLabels);
+  await githubRequest(`Label issue #${issue.number}`, () =>
+    github.rest.issues.update({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: issue.number,
+      labels: [...currentLabels, ...addedLabels]
+    })
+  );
+
+  console.log(`🏷️ Labelled issue #${issue.number}: ${addedLabels.join(', ')}`);
+  return addedLabels;
+}
+
+/**
+ * Find the open failure issues a report is about
+ *
+ * A report about a workspace template matches the template's validation issue. Otherwise
+ * the report needs an environment and a component, and matches the failure issues of that
+ * environment whose kind concerns the component.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} fields - Triage fields (see extractFields)
+ * @returns {Promise<Array>} Matching failure issues, oldest first
+ */
+async function findRelatedFailureIssues(github, context, fields) {
+  const component = COMPONENTS[fields.component];
+  let criteria, matches;
+
+  if (fields.template) {
+    criteria = { labels: ['template-validation'], state: 'open' };
+    matches = metadata => metadata.kind === 'template-validation' && metadata.component === fields.template.path;
+  } else if (fields.environment && component) {
+    criteria = { labels: [envLabel(fields.environment)], state: 'open' };
+    matches = metadata => metadata.environment === fields.environment && component.kinds.includes(metadata.kind);
+  } else {
+    return [];
+  }
+
+  try {
+    const issues = await findExistingIssues(github, context, criteria);
+    return issues
+      .filter(candidate => {
+        const metadata = getManagedIssueMetadata(candidate);
+        return metadata && matches(metadata);
+      })
+      .sort((a, b) => a.number - b.number);
+  } catch (error) {
+    console.error('Failed to look up related failure issues:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Determine whether a report matches a failure issue closely enough to be its duplicate
+ *
+ * A report naming a template is about that template's validation issue. Otherwise the
+ * failure must have last occurred in the phase of the reported component; components
+ * without a phase, such as CI/CD Workflows, are only ever linked.
+ *
+ * @param {Object} fields - Triage fields (see extractFields)
+ * @param {Object} failureIssue - Failure issue matching the report (see findRelatedFailureIssues)
+ * @returns {boolean} True if the report can be closed as a duplicate
+ */
+function isDuplicateMatch(fields, failureIssue) {
+  if (fields.template) return true;
+
+  const component = COMPONENTS[fields.component];
+  if (!component || !component.phase) return false;
+
+  const { occurrences = [] } = getManagedIssueMetadata(failureIssue) || {};
+  const lastOccurrence = occurrences[occurrences.length - 1];
+  return Boolean(lastOccurrence && lastOccurrence.failurePoint) &&
+    phaseLabel(lastOccurrence.failurePoint) === namespacedLabel('phase', component.phase);
+}
+
+/**
+ * Comment on a failure issue with a link to a report, once per report
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} failureIssue - Failure issue
+ * @param {Object} report - Report
+ * @param {string} message - Comment text
+ * @returns {Promise<void>}
+ */
+async function linkReport(github, context, failureIssue, report, message) {
+  const marker = REPORT_LINK_MARKER(report.number);
+
+  try {
+    const comments = await paginateRequest(
+      `List comments on issue #${failureIssue.number}`,
+      github.rest.issues.listComments,
+      { owner: context.repo.owner, repo: context.repo.repo, issue_number: failureIssue.number }
+    );
+    if (comments.some(comment => (comment.body || '').includes(marker))) {
+      console.log(`⏭️ Issue #${failureIssue.number} already links to #${report.number}`);
+      return;
+    }
+
+    await addIssueComment(github, context, failureIssue.number, `${message}\n\n${marker}`);
+  } catch (error) {
+    console.error(`Failed to link issue #${failureIssue.number} to #${report.number}:`, error.message);
+  }
+}
+
+module.exports = {
+  triageIssue,
+  parseIssueForm,
+  parseEnvironment,
+  ISSUE_FORMS
+};
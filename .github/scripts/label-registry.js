@@ -0,0 +1,242 @@
+/**
+ * Label Registry
+ *
+ * Defines the labels used on managed issues, with their colors and descriptions, and
+ * makes sure a label exists before it is attached to an issue. Labels that already exist
+ * are left as they are, so colors and descriptions changed in the repository are kept.
+ * Dynamic values such as environment names or failure phases are normalized into
+ * namespaced labels (env:dev, phase:coder) instead of creating free-form labels.
+ */
+
+const { githubRequest } = require('./github-request.js');
+
+// Fixed labels attached by the issue handlers
+const LABELS = {
+  'bug': { color: 'd73a4a', description: 'Something isn\'t working' },
+  'high-priority': { color: 'b60205', description: 'Needs attention before other work' },
+  'deployment-failure': { color: 'e11d21', description: 'An automated deployment failed' },
+  'infrastructure-failure': { color: 'e11d21', description: 'Infrastructure (Phase 1) deployment failed' },
+  'coder-failure': { color: 'e99695', description: 'Coder application (Phase 2) deployment failed' },
+  'partial-deployment': { color: 'f9d0c4', description: 'Environment is only partially deployed' },
+  'teardown-failure': { color: 'd93f0b', description: 'Environment teardown failed or is incomplete' },
+  'cleanup-required': { color: 'fef2c0', description: 'Cloud resources need manual cleanup' },
+  'template-validation': { color: '5319e7', description: 'Template validation failed' },
+  'release-failure': { color: 'b60205', description: 'The release workflow failed' },
+  'security': { color: 'ee0701', description: 'Security scan findings' },
+  'critical': { color: 'b60205', description: 'Critical severity' },
+  'vulnerability': { color: 'ee0701', description: 'Security vulnerability' },
+  'acknowledged': { color: '0e8a16', description: 'Someone is looking into this issue; stops escalation' },
+  'flaky': { color: 'fbca04', description: 'Fails intermittently and passes on re-run' },
+  'outcome-history': { color: 'c2e0c6', description: 'Run outcomes used to detect flaky templates and environments' },
+  'reliability-report': { color: '0075ca', description: 'Weekly summary of failure issues across environments' }
+};
+
+// Namespaces for labels derived from dynamic values
+const LABEL_NAMESPACES = {
+  env: {
+    color: '1d76db',
+    description: value => `Environment: ${value}`,
+    // Issues created before namespacing carry the bare environment name
+    legacyAlias: true
+  },
+  phase: { color: 'fbca04', description: value => `Failed phase: ${value}` },
+  cause: { color: 'c5def5', description: value => `Failure cause: ${value}` },
+  category: { color: '0e8a16', description: value => `Template category: ${value}` }
+};
+
+// Failure points mapped to phase names, checked in order
+const KNOWN_PHASES = [
+  ['infrastructure', /infrastructure|phase 1\b/i],
+  ['coder', /coder|phase 2\b/i],
+  ['validation', /validat/i],
+  ['teardown', /teardown/i]
+];
+
+// Color and description for labels missing from the registry
+const UNREGISTERED_LABEL = { color: 'ededed', description: 'Created by the issue manager' };
+
+// Labels already ensured by this process
+const ensuredLabels = new Set();
+
+/**
+ * Normalize a dynamic value for use in a label
+ * @param {string} value - Raw value (e.g. 'Coder Application')
+ * @returns {string} Lowercase value with runs of other characters replaced by dashes
+ */
+function normalizeLabelValue(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build a namespaced label
+ * @param {string} namespace - Label namespace (env, phase, cause or category)
+ * @param {string} value - Raw value
+ * @returns {string} Namespaced label (e.g. 'env:dev')
+ * @throws {Error} If the namespace is not registered
+ */
+function namespacedLabel(namespace, value) {
+  if (!LABEL_NAMESPACES[namespace]) {
+    throw new Error(`Unknown label namespace: ${namespace}`);
+  }
+  return `${namespace}:${normalizeLabelValue(value)}`;
+}
+
+/**
+ * Build the environment label
+ * @param {string} environment - Environment name
+ * @returns {string} Environment label (e.g. 'env:dev')
+ */
+function envLabel(environment) {
+  return namespacedLabel('env', environment);
+}
+
+/**
+ * Build the phase label for a failure point
+ * @param {string} failurePoint - Failure point (e.g. 'Phase 2 (Coder Application)')
+ * @returns {string} Phase label (e.g. 'phase:coder')
+ */
+function phaseLabel(failurePoint) {
+  const known = KNOWN_PHASES.find(([, pattern]) => pattern.test(failurePoint));
+  if (known) {
+    return namespacedLabel('phase', known[0]);
+  }
+
+  // Prefer the description in parentheses over the phase number
+  const description = (String(failurePoint).match(/\(([^)]+)\)/) || [])[1] ||
+    String(failurePoint).replace(/^phase\s*\d+\s*/i, '');
+  return namespacedLabel('phase', description || failurePoint);
+}
+
+/**
+ * Look up the color and description of a label
+ * @param {string} name - Label name
+ * @returns {Object|null} Definition with name, color and description (null if not registered)
+ */
+function getLabelDefinition(name) {
+  if (LABELS[name]) {
+    return { name, ...LABELS[name] };
+  }
+
+  const separator = name.indexOf(':');
+  const namespace = separator > 0 ? LABEL_NAMESPACES[name.slice(0, separator)] : null;
+  if (namespace) {
+    return { name, color: namespace.color, description: namespace.description(name.slice(separator + 1)) };
+  }
+
+  return null;
+}
+
+/**
+ * List the label names that identify the same thing as a label, including legacy names
+ * @param {string} name - Label name
+ * @returns {string[]} The label followed by its legacy aliases
+ */
+function getLabelAliases(name) {
+  const separator = name.indexOf(':');
+  const namespace = separator > 0 ? LABEL_NAMESPACES[name.slice(0, separator)] : null;
+  return namespace && namespace.legacyAlias ? [name, name.slice(separator + 1)] : [name];
+}
+
+/**
+ * Make sure labels exist before they are used, creating missing ones with the registered
+ * color and description; existing labels are not changed
+ *
+ * Failures are logged and otherwise ignored: GitHub still creates a missing label when it
+ * is attached to an issue, so provisioning problems must not block the issue itself.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string[]} labels - Label names
+ * @returns {Promise<Array>} Names of the labels that were created
+ */
+async function ensureLabels(github, context, labels) {
+  const createdLabels = [];
+
+  for (const name of [...new Set(labels)]) {
+    if (ensuredLabels.has(name)) continue;
+
+    const definition = getLabelDefinition(name);
+    if (!definition) {
+      console.warn(`⚠️ Label "${name}" is not in the label registry`);
+    }
+    const { color, description } = definition || UNREGISTERED_LABEL;
+
+    try {
+      const existing = await getLabel(github, context, name);
+
+      if (!existing) {
+        await githubRequest(`Create label ${name}`, () =>
+          github.rest.issues.createLabel({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            name,
+            color,
+            description
+          })
+        );
+        console.log(`🏷️ Created label ${name}`);
+        createdLabels.push(name);
+      }
+
+      ensuredLabels.add(name);
+    } catch (error) {
+      // Another job may have created the label in the meantime
+      if (error.status === 422) {
+        ensuredLabels.add(name);
+        continue;
+      }
+      console.error(`Failed to ensure label ${name}:`, error.message);
+    }
+  }
+
+  return createdLabels;
+}
+
+/**
+ * Create every fixed label in the registry that does not exist yet
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Array>} Names of the labels that were created
+ */
+async function provisionLabels(github, context) {
+  return await ensureLabels(github, context, Object.keys(LABELS));
+}
+
+/**
+ * Fetch a label, returning null if it does not exist
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} name - Label name
+ * @returns {Promise<Object|null>} Label (null if not found)
+ */
+async function getLabel(github, context, name) {
+  try {
+    const response = await githubRequest(`Get label ${name}`, () =>
+      github.rest.issues.getLabel({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        name
+      })
+    );
+    return response.data;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  LABELS,
+  LABEL_NAMESPACES,
+  normalizeLabelValue,
+  namespacedLabel,
+  envLabel,
+  phaseLabel,
+  getLabelDefinition,
+  getLabelAliases,
+  ensureLabels,
+  provisionLabels
+};
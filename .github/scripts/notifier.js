@@ -0,0 +1,265 @@
+/**
+ * Notifier
+ *
+ * Delivers workflow events to chat and webhook channels in one consistent format. The
+ * channels are configured through environment variables (usually mapped from secrets):
+ *   SLACK_WEBHOOK_URL         Slack incoming webhook
+ *   TEAMS_WEBHOOK_URL         Microsoft Teams workflow webhook (Adaptive Card)
+ *   NOTIFICATION_WEBHOOK_URL  Generic webhook receiving the event as JSON
+ * Channels without a URL are skipped, so notifying is a no-op when nothing is configured.
+ *
+ * Failure notifications sent for a managed issue are deduplicated: repeated occurrences
+ * within NOTIFICATION_DEDUP_MINUTES (default 60) are counted on the issue instead of
+ * being sent again.
+ */
+
+const { redactSecrets } = require('./issue-sanitizer.js');
+
+const CHANNELS = [
+  { name: 'slack', variable: 'SLACK_WEBHOOK_URL', format: formatSlackMessage },
+  { name: 'teams', variable: 'TEAMS_WEBHOOK_URL', format: formatTeamsMessage },
+  { name: 'webhook', variable: 'NOTIFICATION_WEBHOOK_URL', format: formatWebhookPayload }
+];
+
+const DEDUP_WINDOW_VARIABLE = 'NOTIFICATION_DEDUP_MINUTES';
+const DEFAULT_DEDUP_WINDOW_MINUTES = 60;
+
+// Time a channel gets to accept a notification before the delivery counts as failed
+const DEFAULT_DELIVERY_TIMEOUT_MS = 10000;
+
+// Presentation of each event status
+const STATUS_STYLES = {
+  success: { emoji: '✅', slackColor: 'good', teamsColor: 'Good' },
+  resolved: { emoji: '🩹', slackColor: 'good', teamsColor: 'Good' },
+  warning: { emoji: '⚠️', slackColor: 'warning', teamsColor: 'Warning' },
+  failure: { emoji: '❌', slackColor: 'danger', teamsColor: 'Attention' }
+};
+
+/**
+ * Send an event to every configured channel
+ *
+ * Delivery failures are logged and reported in the result, never thrown, so a broken
+ * webhook cannot fail the workflow that sends the notification. A channel that does not
+ * answer within the timeout is a failed delivery, so a hanging webhook cannot stall it either.
+ *
+ * @param {Object} event - Notification event
+ * @param {string} event.status - Event status ('success', 'resolved', 'warning' or 'failure')
+ * @param {string} event.title - One-line summary
+ * @param {Object} event.fields - Additional details shown as name/value pairs (optional)
+ * @param {Object} event.issue - Related issue with number and url (optional)
+ * @param {string} event.workflowRun - Workflow run URL (optional)
+ * @param {string} event.repository - Repository as owner/name (optional)
+ * @param {Object} options - Delivery options
+ * @param {Object} options.env - Environment holding the channel URLs (optional, defaults to process.env)
+ * @param {number} options.timeoutMs - Time each channel gets to respond (optional, defaults to 10 seconds)
+ * @returns {Promise<Array>} Delivery results with channel name and delivered flag
+ */
+async function sendNotification(event, options = {}) {
+  const { env = process.env, timeoutMs = DEFAULT_DELIVERY_TIMEOUT_MS } = options;
+  const channels = getNotificationChannels(env);
+
+  if (channels.length === 0) {
+    console.log('No notification channels configured, skipping notification');
+    return [];
+  }
+
+  const redactedEvent = redactEvent(event);
+  const results = [];
+  for (const channel of channels) {
+    try {
+      const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(channel.format(redactedEvent)),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+
+      console.log(`📣 Sent ${channel.name} notification: ${redactedEvent.title}`);
+      results.push({ channel: channel.name, delivered: true });
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : error.message;
+      console.error(`Failed to send ${channel.name} notification:`, message);
+      results.push({ channel: channel.name, delivered: false, error: message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * List the channels that have a webhook URL configured
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Array<Object>} Channels with name, variable, url and format function
+ */
+function getNotificationChannels(env = process.env) {
+  return CHANNELS
+    .filter(channel => env[channel.variable])
+    .map(channel => ({ ...channel, url: env[channel.variable] }));
+}
+
+/**
+ * Decide whether a managed issue's event should be sent, given its previous notification
+ *
+ * An event is suppressed when the same status was already sent within the window. The
+ * returned state replaces the previous one in the issue metadata and counts suppressed
+ * repeats until the next notification goes out.
+ *
+ * @param {Object|null} previousState - Notification state from the issue metadata (null if never notified)
+ * @param {string} status - Status of the new event
+ * @param {Date} now - Time of the new event
+ * @param {number} windowMinutes - Deduplication window (optional, defaults to NOTIFICATION_DEDUP_MINUTES)
+ * @returns {Object} { send, suppressed, state } where suppressed counts the repeats since the last notification
+ */
+function planNotification(previousState, status, now, windowMinutes = getDedupWindowMinutes()) {
+  const lastNotifiedAt = previousState ? Date.parse(previousState.lastNotifiedAt) : NaN;
+  const withinWindow = !Number.isNaN(lastNotifiedAt) && now - lastNotifiedAt < windowMinutes * 60 * 1000;
+
+  if (withinWindow && previousState.status === status) {
+    const suppressed = (previousState.suppressed || 0) + 1;
+    return { send: false, suppressed, state: { ...previousState, suppressed } };
+  }
+
+  return {
+    send: true,
+    suppressed: (previousState && previousState.suppressed) || 0,
+    state: { status, lastNotifiedAt: now.toISOString(), suppressed: 0 }
+  };
+}
+
+/**
+ * Read the deduplication window from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {number} Window in minutes
+ */
+function getDedupWindowMinutes(env = process.env) {
+  const minutes = env[DEDUP_WINDOW_VARIABLE] ? Number(env[DEDUP_WINDOW_VARIABLE]) : NaN;
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_DEDUP_WINDOW_MINUTES;
+}
+
+/**
+ * Format an event as a Slack incoming webhook message
+ * @param {Object} event - Notification event (see sendNotification)
+ * @returns {Object} Slack payload
+ */
+function formatSlackMessage(event) {
+  const style = getStatusStyle(event.status);
+  const links = [
+    event.issue ? `<${event.issue.url}|Issue #${event.issue.number}>` : null,
+    event.workflowRun ? `<${event.workflowRun}|Workflow run>` : null
+  ].filter(Boolean);
+
+  return {
+    text: `${style.emoji} ${event.title}`,
+    attachments: [{
+      color: style.slackColor,
+      text: links.length > 0 ? links.join(' • ') : undefined,
+      fields: listFields(event).map(([title, value]) => ({ title, value, short: true }))
+    }]
+  };
+}
+
+/**
+ * Format an event as a Microsoft Teams Adaptive Card message
+ * @param {Object} event - Notification event (see sendNotification)
+ * @returns {Object} Teams payload
+ */
+function formatTeamsMessage(event) {
+  const style = getStatusStyle(event.status);
+  const actions = [
+    event.issue ? { type: 'Action.OpenUrl', title: `Issue #${event.issue.number}`, url: event.issue.url } : null,
+    event.workflowRun ? { type: 'Action.OpenUrl', title: 'Workflow run', url: event.workflowRun } : null
+  ].filter(Boolean);
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          {
+            type: 'TextBlock',
+            text: `${style.emoji} ${event.title}`,
+            weight: 'Bolder',
+            size: 'Medium',
+            color: style.teamsColor,
+            wrap: true
+          },
+          {
+            type: 'FactSet',
+            facts: listFields(event).map(([title, value]) => ({ title, value }))
+          }
+        ],
+        actions
+      }
+    }]
+  };
+}
+
+/**
+ * Format an event for the generic JSON webhook
+ * @param {Object} event - Notification event (see sendNotification)
+ * @returns {Object} Event with its source and a timestamp
+ */
+function formatWebhookPayload(event) {
+  return {
+    source: 'issue-manager',
+    timestamp: new Date().toISOString(),
+    ...event
+  };
+}
+
+/**
+ * List the fields of an event as name/value pairs, skipping empty values
+ * @param {Object} event - Notification event
+ * @returns {Array<Array>} [name, value] pairs
+ */
+function listFields(event) {
+  const fields = Object.entries(event.fields || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => [name, String(value)]);
+
+  if (event.repository) {
+    fields.push(['Repository', event.repository]);
+  }
+  return fields;
+}
+
+/**
+ * Mask credentials in the free-text parts of an event
+ * @param {Object} event - Notification event
+ * @returns {Object} Event with redacted title and field values, without empty fields
+ */
+function redactEvent(event) {
+  return {
+    ...event,
+    title: redactSecrets(event.title),
+    fields: Object.fromEntries(Object.entries(event.fields || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => [name, typeof value === 'string' ? redactSecrets(value) : value]))
+  };
+}
+
+/**
+ * Get the presentation of an event status
+ * @param {string} status - Event status
+ * @returns {Object} Emoji and channel colors (failure style for unknown statuses)
+ */
+function getStatusStyle(status) {
+  return STATUS_STYLES[status] || STATUS_STYLES.failure;
+}
+
+module.exports = {
+  sendNotification,
+  getNotificationChannels,
+  planNotification,
+  formatSlackMessage,
+  formatTeamsMessage,
+  formatWebhookPayload
+};
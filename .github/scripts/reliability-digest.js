@@ -0,0 +1,356 @@
+/**
+ * Reliability Digest
+ *
+ * Summarizes the operational health of all environments from the managed failure issues:
+ * what is open by kind and environment, what was opened and resolved in the period, the
+ * mean time to recovery, the failure points that recurred most often and the oldest
+ * alarms nobody has acknowledged. The summary is posted as a single pinned report issue;
+ * the previous report is closed once the new one exists.
+ */
+
+const { githubRequest } = require('./github-request.js');
+const { ensureLabels } = require('./label-registry.js');
+const { renderBodyTemplate } = require('./body-templates.js');
+const { DEFAULT_OWNERS_FILE, loadOwnershipConfig } = require('./issue-owners.js');
+const {
+  findExistingIssues,
+  isIssueAcknowledged,
+  getManagedIssueMetadata,
+  formatDuration
+} = require('./issue-manager.js');
+
+const REPORT_TITLE = 'Weekly Reliability Report';
+const REPORT_LABEL = 'reliability-report';
+const DEFAULT_PERIOD_DAYS = 7;
+
+// Number of entries shown per section of the report
+const MAX_LISTED_ISSUES = 25;
+const MAX_FAILURE_POINTS = 10;
+const MAX_UNACKNOWLEDGED = 5;
+
+const DAY_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+/**
+ * Post the reliability report for the period ending now and close the previous report
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} options - Report options
+ * @param {number} options.periodDays - Length of the reported period in days (optional, defaults to 7)
+ * @param {string} options.ownersFile - Path to the owners file holding the escalation settings (optional)
+ * @param {Date} options.now - End of the period (optional)
+ * @returns {Promise<Object>} Created report issue
+ */
+async function publishReliabilityDigest(github, context, options = {}) {
+  const { periodDays = DEFAULT_PERIOD_DAYS, ownersFile = DEFAULT_OWNERS_FILE, now = new Date() } = options;
+  const since = new Date(now.getTime() - Number(periodDays) * DAY_MILLISECONDS);
+  const { escalation } = loadOwnershipConfig(ownersFile);
+
+  console.log(`📊 Building the reliability report for ${formatDate(since)} to ${formatDate(now)}...`);
+
+  // Issues resolved in the period were necessarily updated in it
+  const openIssues = withMetadata(await findExistingIssues(github, context, { state: 'open' }));
+  const closedIssues = withMetadata(await findExistingIssues(github, context, { state: 'closed', updatedSince: since }));
+  const previousReports = await findReports(github, context);
+
+  const digest = await buildDigest(github, context, { openIssues, closedIssues, since, now, escalation });
+  const body = renderBodyTemplate('reliability-report', {
+    ...digest,
+    periodStart: formatDate(since),
+    periodEnd: formatDate(now),
+    periodDays: Number(periodDays),
+    generatedAt: now.toISOString(),
+    workflowRun: context.runId ? `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}` : null,
+    previousReport: previousReports.length > 0 ? previousReports[previousReports.length - 1].number : null
+  });
+
+  await ensureLabels(github, context, [REPORT_LABEL]);
+  const report = await githubRequest('Create reliability report', () =>
+    github.rest.issues.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      title: `${REPORT_TITLE}: ${formatDate(since)} to ${formatDate(now)}`,
+      body,
+      labels: [REPORT_LABEL]
+    })
+  );
+  console.log(`✅ Created reliability report #${report.data.number}`);
+
+  for (const previous of previousReports) {
+    await retireReport(github, context, previous, report.data.number);
+  }
+  await setPinned(github, report.data, true);
+
+  return report.data;
+}
+
+/**
+ * Compute the sections of the report from the managed issues
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} data - Report input
+ * @param {Array<Object>} data.openIssues - Open managed issues, each with its metadata
+ * @param {Array<Object>} data.closedIssues - Managed issues closed or updated in the period, each with its metadata
+ * @param {Date} data.since - Start of the period
+ * @param {Date} data.now - End of the period
+ * @param {Object} data.escalation - Escalation settings (see loadOwnershipConfig)
+ * @returns {Promise<Object>} Template variables for the reliability-report body template
+ */
+async function buildDigest(github, context, data) {
+  const { openIssues, closedIssues, since, now, escalation } = data;
+  const inPeriod = timestamp => timestamp && new Date(timestamp) >= since;
+
+  const opened = [...openIssues, ...closedIssues]
+    .filter(({ issue }) => inPeriod(issue.created_at))
+    .sort((a, b) => a.issue.created_at.localeCompare(b.issue.created_at));
+
+  // Duplicates are closed as not planned; only issues closed as completed recovered
+  const resolved = closedIssues
+    .filter(({ issue }) => inPeriod(issue.closed_at) && issue.state_reason !== 'not_planned')
+    .map(entry => ({ ...entry, recovery: new Date(entry.issue.closed_at) - new Date(entry.issue.created_at) }))
+    .sort((a, b) => a.issue.closed_at.localeCompare(b.issue.closed_at));
+  const meanRecovery = resolved.length > 0
+    ? resolved.reduce((total, entry) => total + entry.recovery, 0) / resolved.length
+    : null;
+
+  return {
+    openCount: openIssues.length,
+    openGroups: groupOpenIssues(openIssues),
+    openedCount: opened.length,
+    opened: opened.slice(0, MAX_LISTED_ISSUES).map(({ issue, metadata }) => ({
+      number: issue.number,
+      subject: describeSubject(metadata),
+      createdAt: issue.created_at
+    })),
+    openedOmitted: Math.max(0, opened.length - MAX_LISTED_ISSUES),
+    resolvedCount: resolved.length,
+    resolved: resolved.slice(0, MAX_LISTED_ISSUES).map(({ issue, metadata, recovery }) => ({
+      number: issue.number,
+      subject: describeSubject(metadata),
+      timeToRecovery: formatDuration(recovery)
+    })),
+    resolvedOmitted: Math.max(0, resolved.length - MAX_LISTED_ISSUES),
+    meanTimeToRecovery: meanRecovery === null ? 'n/a' : formatDuration(meanRecovery),
+    failurePoints: countFailurePoints([...openIssues, ...closedIssues], since),
+    unacknowledged: await findUnacknowledgedIssues(github, context, openIssues, escalation, now)
+  };
+}
+
+/**
+ * Group open issues by kind and environment
+ * @param {Array<Object>} issues - Open managed issues with metadata
+ * @returns {Array<Object>} Groups with kind, environment, count and issue references, largest first
+ */
+function groupOpenIssues(issues) {
+  const groups = new Map();
+  for (const { issue, metadata } of issues) {
+    const key = `${metadata.kind}\u0000${metadata.environment || ''}`;
+    const group = groups.get(key) || { kind: metadata.kind, environment: metadata.environment || '-', numbers: [] };
+    group.numbers.push(issue.number);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.numbers.length - a.numbers.length || a.kind.localeCompare(b.kind) || a.environment.localeCompare(b.environment))
+    .map(group => ({
+      kind: group.kind,
+      environment: group.environment,
+      count: group.numbers.length,
+      issues: group.numbers.sort((a, b) => a - b).map(number => `#${number}`).join(', ')
+    }));
+}
+
+/**
+ * Count the occurrences recorded in the period by failure point
+ * @param {Array<Object>} issues - Managed issues with metadata
+ * @param {Date} since - Start of the period
+ * @returns {Array<Object>} Failure points with subject and count, most frequent first
+ */
+function countFailurePoints(issues, since) {
+  const counts = new Map();
+  for (const { metadata } of issues) {
+    for (const occurrence of metadata.occurrences || []) {
+      if (!occurrence.failurePoint || new Date(occurrence.timestamp) < since) continue;
+
+      const subject = describeSubject(metadata);
+      const key = `${subject}\u0000${occurrence.failurePoint}`;
+      const entry = counts.get(key) || { failurePoint: cell(occurrence.failurePoint), subject, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.subject.localeCompare(b.subject))
+    .slice(0, MAX_FAILURE_POINTS);
+}
+
+/**
+ * Find the oldest open issues that nobody has acknowledged
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array<Object>} issues - Open managed issues with metadata
+ * @param {Object} escalation - Escalation settings with priorityLabels and acknowledgedLabel
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array<Object>>} Issues with number, subject, age, priority and escalation count, oldest first
+ */
+async function findUnacknowledgedIssues(github, context, issues, escalation, now) {
+  const { priorityLabels, acknowledgedLabel } = escalation;
+  const candidates = issues
+    .map(entry => ({ ...entry, labels: entry.issue.labels.map(label => (typeof label === 'string' ? label : label.name)) }))
+    .filter(entry => !entry.labels.includes(acknowledgedLabel))
+    .sort((a, b) => a.issue.created_at.localeCompare(b.issue.created_at));
+
+  const unacknowledged = [];
+  for (const { issue, metadata, labels } of candidates) {
+    if (unacknowledged.length >= MAX_UNACKNOWLEDGED) break;
+
+    try {
+      if (await isIssueAcknowledged(github, context, issue)) continue;
+    } catch (error) {
+      console.error(`Failed to read comments on issue #${issue.number}:`, error.message);
+    }
+
+    unacknowledged.push({
+      number: issue.number,
+      subject: describeSubject(metadata),
+      age: formatDuration(now - new Date(issue.created_at)),
+      priority: [...priorityLabels].reverse().find(label => labels.includes(label)) || '-',
+      escalations: (metadata.escalation && metadata.escalation.level) || 0
+    });
+  }
+
+  return unacknowledged;
+}
+
+/**
+ * Find the open reliability reports, oldest first
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Array<Object>>} Open report issues
+ */
+async function findReports(github, context) {
+  const response = await githubRequest('List reliability reports', () =>
+    github.rest.issues.listForRepo({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      labels: REPORT_LABEL,
+      state: 'open',
+      sort: 'created',
+      direction: 'asc',
+      per_page: 100
+    })
+  );
+
+  return response.data.filter(issue => !issue.pull_request && issue.title.startsWith(REPORT_TITLE));
+}
+
+/**
+ * Unpin and close a previous report in favor of the new one
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} previous - Previous report issue
+ * @param {number} reportNumber - Number of the new report
+ * @returns {Promise<void>}
+ */
+async function retireReport(github, context, previous, reportNumber) {
+  try {
+    await setPinned(github, previous, false);
+
+    await githubRequest(`Comment on issue #${previous.number}`, () =>
+      github.rest.issues.createComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: previous.number,
+        body: `📊 Superseded by #${reportNumber}.\n\n_This report was automatically closed by the issue management system._`
+      })
+    );
+
+    await githubRequest(`Close issue #${previous.number}`, () =>
+      github.rest.issues.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: previous.number,
+        state: 'closed',
+        state_reason: 'completed'
+      })
+    );
+
+    console.log(`✅ Closed previous reliability report #${previous.number}`);
+  } catch (error) {
+    console.error(`Failed to close previous reliability report #${previous.number}:`, error);
+  }
+}
+
+/**
+ * Pin or unpin an issue on the repository's issue list
+ *
+ * Pinning is only available through GraphQL; clients without it (the command line client)
+ * leave the report unpinned.
+ *
+ * @param {Object} github - GitHub API client
+ * @param {Object} issue - Issue with node_id
+ * @param {boolean} pinned - True to pin, false to unpin
+ * @returns {Promise<void>}
+ */
+async function setPinned(github, issue, pinned) {
+  if (typeof github.graphql !== 'function' || !issue.node_id) {
+    console.log(`📌 Pinning is not available with this client, leaving issue #${issue.number} as is`);
+    return;
+  }
+
+  const mutation = pinned ? 'pinIssue' : 'unpinIssue';
+  try {
+    await githubRequest(`${pinned ? 'Pin' : 'Unpin'} issue #${issue.number}`, () =>
+      github.graphql(`mutation($issueId: ID!) { ${mutation}(input: { issueId: $issueId }) { issue { number } } }`, {
+        issueId: issue.node_id
+      })
+    );
+    console.log(`📌 ${pinned ? 'Pinned' : 'Unpinned'} issue #${issue.number}`);
+  } catch (error) {
+    // A repository can pin only a few issues; the report is still posted
+    console.error(`Failed to ${pinned ? 'pin' : 'unpin'} issue #${issue.number}:`, error.message);
+  }
+}
+
+/**
+ * Keep the managed issues opened by the workflows, with their metadata
+ * @param {Array<Object>} issues - Issues
+ * @returns {Array<Object>} Entries with issue and metadata
+ */
+function withMetadata(issues) {
+  return issues
+    .map(issue => ({ issue, metadata: getManagedIssueMetadata(issue) }))
+    .filter(entry => entry.metadata);
+}
+
+/**
+ * Describe what a managed issue is about
+ * @param {Object} metadata - Issue metadata
+ * @returns {string} Description such as 'deployment-failure / dev'
+ */
+function describeSubject(metadata) {
+  return cell([metadata.kind, metadata.environment, metadata.component].filter(Boolean).join(' / '));
+}
+
+/**
+ * Make a value safe for a markdown table cell
+ * @param {string} value - Value
+ * @returns {string} Value with pipes escaped and newlines removed
+ */
+function cell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format the date part of a timestamp
+ * @param {Date} date - Date
+ * @returns {string} Date such as '2024-05-01'
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  publishReliabilityDigest,
+  buildDigest
+};
@@ -0,0 +1,539 @@
+/**
+ * Security Findings Helper
+ *
+ * Parses SARIF reports produced by the security scan workflow (Checkov, Gitleaks, ...)
+ * into a flat list of findings and renders them as markdown for security issues.
+ * Findings are identified across scans by a fingerprint of rule, file and location, and
+ * accepted findings can be suppressed through the repository's security baseline file.
+ * Each finding remembers the report (scanner and scope) it came from, so a scan that ran
+ * only some of the scanners is compared with the previous scan for those scanners only.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Severity levels in descending order of importance
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const SEVERITY_LABELS = {
+  critical: '🔴 Critical',
+  high: '🟠 High',
+  medium: '🟡 Medium',
+  low: '🔵 Low'
+};
+
+// Repository-level baseline of accepted (suppressed) findings
+const DEFAULT_BASELINE_FILE = '.security-baseline.json';
+
+// Severities whose findings are tracked across scans on the security issue
+const TRACKED_SEVERITIES = ['critical', 'high'];
+
+// Tracked findings are stored in the issue's metadata marker, which shares the issue body's
+// size limit; beyond these the remaining findings are only counted
+const MAX_TRACKED_FINDINGS = 150;
+const MAX_TRACKED_FINDINGS_LENGTH = 20000;
+
+// Severities by SARIF result level and by the scanner's `properties.severity`, in the order the
+// jq selects of the "Analyze Security Results" step in security-scan.yml count them; the
+// create and resolve steps are gated on those counts, so the handlers must agree with them
+const SEVERITY_MATCHERS = [
+  ['critical', 'error', 'CRITICAL'],
+  ['high', 'warning', 'HIGH'],
+  ['medium', 'note', 'MEDIUM'],
+  ['low', 'info', 'LOW']
+];
+
+/**
+ * Error raised when SARIF reports cannot be read, so a scan is never taken as clean by mistake
+ */
+class SarifParseError extends Error {
+  constructor(message, failures) {
+    super(message);
+    this.name = 'SarifParseError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Name the source of the findings in a SARIF report after its file
+ * @param {string} file - Path to the SARIF file (e.g. 'security-results/infrastructure-checkov.sarif')
+ * @returns {string} Source (e.g. 'infrastructure-checkov')
+ */
+function getSarifSource(file) {
+  return path.basename(file).replace(/\.sarif(\.json)?$/, '');
+}
+
+/**
+ * List the sources covered by a set of SARIF reports
+ * @param {string|string[]} sarifFiles - Path(s) to SARIF files
+ * @returns {string[]} Sources (see getSarifSource)
+ */
+function getSarifSources(sarifFiles) {
+  return (Array.isArray(sarifFiles) ? sarifFiles : [sarifFiles]).map(getSarifSource);
+}
+
+/**
+ * Parse one or more SARIF files into findings
+ * @param {string|string[]} sarifFiles - Path(s) to SARIF files
+ * @returns {Array<Object>} Findings with fingerprint, source, tool, ruleId, ruleName, severity, message,
+ *   filePath, startLine and endLine
+ * @throws {SarifParseError} If no file is given or any file cannot be read or parsed
+ */
+function parseSarifFiles(sarifFiles) {
+  const files = Array.isArray(sarifFiles) ? sarifFiles : [sarifFiles];
+  const findings = [];
+  const failures = [];
+
+  if (files.length === 0) {
+    throw new SarifParseError('No SARIF reports to read', []);
+  }
+
+  for (const file of files) {
+    try {
+      const sarif = JSON.parse(fs.readFileSync(file, 'utf8'));
+      findings.push(...parseSarifReport(sarif, getSarifSource(file)));
+      console.log(`📄 Parsed ${path.basename(file)}`);
+    } catch (error) {
+      console.error(`Failed to parse SARIF file ${file}:`, error.message);
+      failures.push({ file, error: error.message });
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new SarifParseError(`Failed to read SARIF reports: ${failures.map(failure => failure.file).join(', ')}`, failures);
+  }
+
+  return findings;
+}
+
+/**
+ * Parse a SARIF report object into findings
+ * @param {Object} sarif - Parsed SARIF document
+ * @param {string} source - Source of the report (see getSarifSource, optional)
+ * @returns {Array<Object>} Findings
+ */
+function parseSarifReport(sarif, source = null) {
+  const findings = [];
+
+  for (const run of sarif.runs || []) {
+    const driver = (run.tool && run.tool.driver) || {};
+    const rules = new Map((driver.rules || []).map(rule => [rule.id, rule]));
+
+    for (const result of run.results || []) {
+      const rule = rules.get(result.ruleId) ||
+        (driver.rules && Number.isInteger(result.ruleIndex) ? driver.rules[result.ruleIndex] : null) ||
+        {};
+      const location = (result.locations && result.locations[0] && result.locations[0].physicalLocation) || {};
+      const region = location.region || {};
+
+      const finding = {
+        source,
+        tool: driver.name || 'unknown',
+        ruleId: result.ruleId || rule.id || 'unknown',
+        ruleName: (rule.shortDescription && rule.shortDescription.text) || rule.name || null,
+        helpUri: rule.helpUri || null,
+        severity: getFindingSeverity(result),
+        message: (result.message && result.message.text) || '',
+        filePath: normalizeArtifactPath(location.artifactLocation && location.artifactLocation.uri),
+        startLine: region.startLine || null,
+        endLine: region.endLine || region.startLine || null
+      };
+      finding.fingerprint = createFindingFingerprint(finding, result.partialFingerprints);
+      findings.push(finding);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Determine the severity of a SARIF result
+ *
+ * Results matching none of the workflow's selects are not counted as critical or high
+ * there either, and are reported as low.
+ *
+ * @param {Object} result - SARIF result
+ * @returns {string} One of 'critical', 'high', 'medium', 'low'
+ */
+function getFindingSeverity(result) {
+  const severity = result.properties && result.properties.severity;
+  const match = SEVERITY_MATCHERS.find(([, level, propertySeverity]) =>
+    result.level === level || severity === propertySeverity);
+  return match ? match[0] : 'low';
+}
+
+/**
+ * Normalize a SARIF artifact URI to a repository-relative path
+ * @param {string} uri - Artifact URI
+ * @returns {string|null} Repository-relative path
+ */
+function normalizeArtifactPath(uri) {
+  if (!uri) return null;
+
+  let filePath = decodeURIComponent(uri.replace(/^file:\/\//, ''));
+  const workspace = process.env.GITHUB_WORKSPACE;
+  if (workspace && filePath.startsWith(workspace)) {
+    filePath = filePath.slice(workspace.length);
+  }
+  return filePath.replace(/^\.?\/+/, '');
+}
+
+/**
+ * Compute the fingerprint identifying a finding across scans
+ *
+ * Uses the location hash reported by the scanner when available (stable when lines move),
+ * otherwise a hash of the reported line range.
+ *
+ * @param {Object} finding - Finding (ruleId, filePath, startLine, endLine)
+ * @param {Object} partialFingerprints - SARIF partialFingerprints of the result (optional)
+ * @returns {string} Fingerprint (12 hex characters)
+ */
+function createFindingFingerprint(finding, partialFingerprints = null) {
+  const scannerHash = partialFingerprints && Object.keys(partialFingerprints).length > 0
+    ? partialFingerprints[Object.keys(partialFingerprints).sort()[0]]
+    : null;
+  const locationHash = scannerHash || `${finding.startLine || 0}-${finding.endLine || 0}`;
+
+  return crypto
+    .createHash('sha256')
+    .update([finding.ruleId, finding.filePath || '', locationHash].join('\u0000'))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Compare the current findings with those tracked on the security issue
+ *
+ * Only tracked findings from the scanned sources are compared: a finding whose scanner did
+ * not run (or whose source is unknown) is kept as it was instead of being taken as fixed.
+ *
+ * At most MAX_TRACKED_FINDINGS findings, taking up at most MAX_TRACKED_FINDINGS_LENGTH
+ * characters, are kept for the next scan: critical before high, longest open first. The
+ * others are counted as untracked; they are reported as new again until they fit.
+ *
+ * @param {Array<Object>} findings - Findings from the current scan
+ * @param {Object} previousTracked - Tracked findings from the issue metadata, keyed by fingerprint
+ * @param {Object} options - Comparison options
+ * @param {string} options.timestamp - ISO timestamp of the current scan (optional, defaults to now)
+ * @param {string[]} options.scannedSources - Sources the current scan produced reports for (see
+ *   getSarifSources; optional, every tracked finding is compared if omitted)
+ * @returns {Object} { tracked, untracked, unscanned, newFindings, persistingFindings, fixedFindings }
+ */
+function trackFindings(findings, previousTracked = {}, options = {}) {
+  const { timestamp = new Date().toISOString(), scannedSources = null } = options;
+  const current = new Map();
+  const newFindings = [];
+  const persistingFindings = [];
+
+  for (const finding of findings) {
+    if (!TRACKED_SEVERITIES.includes(finding.severity) || current.has(finding.fingerprint)) continue;
+
+    const previous = previousTracked[finding.fingerprint];
+    current.set(finding.fingerprint, {
+      ruleId: finding.ruleId,
+      filePath: finding.filePath,
+      startLine: finding.startLine,
+      severity: finding.severity,
+      source: finding.source || null,
+      firstSeen: previous ? previous.firstSeen : timestamp
+    });
+    (previous ? persistingFindings : newFindings).push(finding);
+  }
+
+  const isScanned = entry => !scannedSources || Boolean(entry.source && scannedSources.includes(entry.source));
+  const fixedFindings = [];
+  let unscanned = 0;
+  for (const [fingerprint, entry] of Object.entries(previousTracked)) {
+    if (current.has(fingerprint)) continue;
+
+    if (isScanned(entry)) {
+      fixedFindings.push({ fingerprint, ...entry });
+    } else {
+      current.set(fingerprint, entry);
+      unscanned++;
+    }
+  }
+
+  const tracked = {};
+  let length = 0;
+  const byPriority = [...current.entries()].sort(([, a], [, b]) =>
+    TRACKED_SEVERITIES.indexOf(a.severity) - TRACKED_SEVERITIES.indexOf(b.severity) ||
+    a.firstSeen.localeCompare(b.firstSeen));
+  for (const [fingerprint, entry] of byPriority) {
+    const entryLength = JSON.stringify({ [fingerprint]: entry }).length;
+    if (Object.keys(tracked).length >= MAX_TRACKED_FINDINGS || length + entryLength > MAX_TRACKED_FINDINGS_LENGTH) break;
+    tracked[fingerprint] = entry;
+    length += entryLength;
+  }
+
+  return {
+    tracked,
+    untracked: current.size - Object.keys(tracked).length,
+    unscanned,
+    newFindings,
+    persistingFindings,
+    fixedFindings
+  };
+}
+
+/**
+ * Render the changes in tracked findings since the previous scan
+ * @param {Object} changes - Result of trackFindings
+ * @returns {string} Markdown
+ */
+function renderFindingChanges(changes) {
+  const { newFindings, persistingFindings, fixedFindings, untracked = 0, unscanned = 0 } = changes;
+  const fixedLines = fixedFindings.map(finding =>
+    `- [x] ~~\`${finding.ruleId}\` in \`${finding.filePath || 'unknown location'}\`${finding.startLine ? ` (L${finding.startLine})` : ''}~~ - open since ${finding.firstSeen}`
+  );
+
+  return `| Change | Count |
+|--------|-------|
+| 🆕 New | ${newFindings.length} |
+| ⏳ Persisting | ${persistingFindings.length} |
+| ✅ Fixed | ${fixedFindings.length} |
+${unscanned > 0 ? `\n_${unscanned} tracked findings come from scanners that did not run in this scan and are kept as they were._\n` : ''}${untracked > 0 ? `\n_${untracked} critical and high findings exceed the tracking limit and are not compared across scans._\n` : ''}${fixedLines.length > 0 ? `\n### ✅ Fixed Since Last Scan\n\n${fixedLines.join('\n')}\n` : ''}`;
+}
+
+/**
+ * Load the security baseline of suppressed findings
+ * @param {string} baselineFile - Path to the baseline file (optional)
+ * @returns {Array<Object>} Suppressions with fingerprint, justification, owner and expires
+ *   (empty if the file does not exist)
+ */
+function loadSecurityBaseline(baselineFile = DEFAULT_BASELINE_FILE) {
+  if (!fs.existsSync(baselineFile)) {
+    console.log(`No security baseline found at ${baselineFile}`);
+    return [];
+  }
+
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+    const suppressions = baseline.suppressions || [];
+    console.log(`📋 Loaded ${suppressions.length} suppressions from ${baselineFile}`);
+    return suppressions;
+  } catch (error) {
+    console.error(`Failed to load security baseline ${baselineFile}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Apply baseline suppressions to findings
+ *
+ * Only valid, unexpired suppressions are honoured. Suppressions missing a justification,
+ * owner or expiry date are reported as invalid; expired ones are reported so they can be
+ * renewed or removed.
+ *
+ * @param {Array<Object>} findings - Findings
+ * @param {Array<Object>} suppressions - Baseline suppressions
+ * @param {Date} now - Reference time for expiry (optional)
+ * @returns {Object} { activeFindings, suppressedFindings, activeSuppressions, expiredSuppressions, invalidSuppressions }
+ */
+function applySecurityBaseline(findings, suppressions = [], now = new Date()) {
+  const activeSuppressions = [];
+  const expiredSuppressions = [];
+  const invalidSuppressions = [];
+
+  for (const suppression of suppressions) {
+    const expiresAt = Date.parse(suppression.expires);
+    if (!suppression.fingerprint || !suppression.justification || !suppression.owner || Number.isNaN(expiresAt)) {
+      invalidSuppressions.push(suppression);
+    } else if (expiresAt < now.getTime()) {
+      expiredSuppressions.push(suppression);
+    } else {
+      activeSuppressions.push(suppression);
+    }
+  }
+
+  const suppressionsByFingerprint = new Map(activeSuppressions.map(suppression => [suppression.fingerprint, suppression]));
+  const activeFindings = [];
+  const suppressedFindings = [];
+
+  for (const finding of findings) {
+    const suppression = suppressionsByFingerprint.get(finding.fingerprint);
+    if (suppression) {
+      suppressedFindings.push({ ...finding, suppression });
+    } else {
+      activeFindings.push(finding);
+    }
+  }
+
+  return { activeFindings, suppressedFindings, activeSuppressions, expiredSuppressions, invalidSuppressions };
+}
+
+/**
+ * Render the baseline suppressions for a security issue
+ * @param {Object} baselineResult - Result of applySecurityBaseline
+ * @param {string} baselineFile - Path to the baseline file (for reference)
+ * @returns {string} Markdown (empty if the baseline has no suppressions)
+ */
+function renderSuppressions(baselineResult, baselineFile = DEFAULT_BASELINE_FILE) {
+  const { suppressedFindings, activeSuppressions, expiredSuppressions, invalidSuppressions } = baselineResult;
+  if (activeSuppressions.length + expiredSuppressions.length + invalidSuppressions.length === 0) {
+    return '';
+  }
+
+  const cell = value => (value ? String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ') : '-');
+  const matchCounts = suppressedFindings.reduce((counts, finding) => {
+    counts[finding.fingerprint] = (counts[finding.fingerprint] || 0) + 1;
+    return counts;
+  }, {});
+
+  const sections = [];
+
+  if (activeSuppressions.length > 0) {
+    sections.push(`### Active Suppressions
+
+${suppressedFindings.length} findings in this scan are suppressed by \`${baselineFile}\`.
+
+| Fingerprint | Rule | File | Owner | Expires | Matched | Justification |
+|-------------|------|------|-------|---------|---------|---------------|
+${activeSuppressions.map(suppression =>
+  `| \`${suppression.fingerprint}\` | ${cell(suppression.ruleId)} | ${cell(suppression.filePath)} | ${cell(suppression.owner)} | ${suppression.expires} | ${matchCounts[suppression.fingerprint] || 0} | ${cell(suppression.justification)} |`
+).join('\n')}`);
+  }
+
+  if (expiredSuppressions.length > 0) {
+    sections.push(`### ⚠️ Expired Suppressions
+
+These suppressions are no longer honoured. Renew them with a new expiry date or remove them from \`${baselineFile}\`.
+
+${expiredSuppressions.map(suppression =>
+  `- \`${suppression.fingerprint}\`${suppression.ruleId ? ` (${suppression.ruleId})` : ''} - owner ${suppression.owner}, expired ${suppression.expires}`
+).join('\n')}`);
+  }
+
+  if (invalidSuppressions.length > 0) {
+    sections.push(`### ⚠️ Invalid Suppressions
+
+These suppressions are ignored because they are missing a fingerprint, justification, owner or valid expiry date.
+
+${invalidSuppressions.map(suppression => `- \`${suppression.fingerprint || 'no fingerprint'}\`${suppression.ruleId ? ` (${suppression.ruleId})` : ''}`).join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Count findings per severity
+ * @param {Array<Object>} findings - Findings
+ * @returns {Object} Counts keyed by severity, plus total
+ */
+function countFindings(findings) {
+  const counts = { critical: 0, high: 0, medium: 0, low: 0, total: findings.length };
+  for (const finding of findings) {
+    counts[finding.severity]++;
+  }
+  return counts;
+}
+
+/**
+ * Render findings grouped by severity, rule and file path
+ *
+ * Each critical and high finding is rendered as a checklist item; medium and low findings
+ * are collapsed to keep the issue readable.
+ *
+ * @param {Array<Object>} findings - Findings
+ * @param {Object} options - Rendering options
+ * @param {string} options.blobUrl - Base URL for file links at the scanned commit
+ *   (e.g. https://github.com/owner/repo/blob/<sha>)
+ * @param {Object} options.tracked - Tracked findings keyed by fingerprint, used to mark new and
+ *   persisting findings (optional)
+ * @param {Object} options.previousTracked - Tracked findings from the previous scan (optional)
+ * @returns {string} Markdown
+ */
+function renderFindingsBySeverity(findings, options = {}) {
+  const { blobUrl = null, tracked = null, previousTracked = {} } = options;
+  const annotate = finding => {
+    if (!tracked || !tracked[finding.fingerprint]) return '';
+    return previousTracked[finding.fingerprint]
+      ? ` - ⏳ open since ${tracked[finding.fingerprint].firstSeen}`
+      : ' - 🆕 new';
+  };
+  const sections = [];
+
+  for (const severity of SEVERITIES) {
+    const severityFindings = findings.filter(finding => finding.severity === severity);
+    if (severityFindings.length === 0) continue;
+
+    const actionable = severity === 'critical' || severity === 'high';
+    const ruleSections = groupBy(severityFindings, finding => finding.ruleId).map(([ruleId, ruleFindings]) => {
+      const { ruleName, helpUri, tool } = ruleFindings[0];
+      const heading = `#### \`${ruleId}\`${ruleName ? ` - ${ruleName}` : ''} (${tool})${helpUri ? ` [docs](${helpUri})` : ''}`;
+
+      // One checklist item per actionable finding, one line per file otherwise
+      const fileLines = groupBy(ruleFindings, finding => finding.filePath || 'unknown location').flatMap(([filePath, fileFindings]) => {
+        if (actionable) {
+          return fileFindings.map(finding => `- [ ] \`${filePath}\`: ${formatFindingLocation(finding, blobUrl)}${annotate(finding)} <sub>\`${finding.fingerprint}\`</sub>`);
+        }
+        const locations = fileFindings.map(finding => formatFindingLocation(finding, blobUrl)).join(', ');
+        return [`- \`${filePath}\`: ${locations}`];
+      });
+
+      return `${heading}\n${fileLines.join('\n')}`;
+    });
+
+    const content = ruleSections.join('\n\n');
+    sections.push(actionable
+      ? `### ${SEVERITY_LABELS[severity]} (${severityFindings.length})\n\n${content}`
+      : `<details>\n<summary><strong>${SEVERITY_LABELS[severity]} (${severityFindings.length})</strong></summary>\n\n${content}\n\n</details>`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format the location of a finding as a link to the scanned commit
+ * @param {Object} finding - Finding
+ * @param {string|null} blobUrl - Base URL for file links
+ * @returns {string} Markdown link or plain location
+ */
+function formatFindingLocation(finding, blobUrl) {
+  if (!finding.startLine) {
+    return blobUrl && finding.filePath ? `[file](${blobUrl}/${finding.filePath})` : 'file';
+  }
+
+  const label = finding.endLine && finding.endLine !== finding.startLine
+    ? `L${finding.startLine}-L${finding.endLine}`
+    : `L${finding.startLine}`;
+  return blobUrl && finding.filePath ? `[${label}](${blobUrl}/${finding.filePath}#${label})` : label;
+}
+
+/**
+ * Group items by key, preserving first-seen order
+ * @param {Array} items - Items to group
+ * @param {Function} keyFn - Function returning the group key for an item
+ * @returns {Array<Array>} Array of [key, items] pairs
+ */
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.entries()];
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_LABELS,
+  TRACKED_SEVERITIES,
+  MAX_TRACKED_FINDINGS,
+  DEFAULT_BASELINE_FILE,
+  SarifParseError,
+  getSarifSources,
+  parseSarifFiles,
+  parseSarifReport,
+  getFindingSeverity,
+  createFindingFingerprint,
+  trackFindings,
+  renderFindingChanges,
+  loadSecurityBaseline,
+  applySecurityBaseline,
+  renderSuppressions,
+  countFindings,
+  renderFindingsBySeverity
+};
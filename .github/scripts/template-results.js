@@ -0,0 +1,147 @@
+/**
+ * Template Validation Results Helper
+ *
+ * Collects the per-template results written by the matrix jobs of the template
+ * validation workflow and renders them as a template × stage matrix for the
+ * template validation issue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Validation stages in pipeline order, keyed by the stage name used in the result files
+const TEMPLATE_STAGES = [
+  { key: 'syntax', label: 'Syntax Validation' },
+  { key: 'documentation', label: 'Documentation' },
+  { key: 'deployment', label: 'Deployment Test' }
+];
+
+const STATUS_ICONS = {
+  pass: '✅',
+  fail: '❌',
+  skip: '⏭️'
+};
+
+/**
+ * Load the per-template stage results written by the validation jobs
+ *
+ * Each result file holds one template and stage, e.g.
+ * {"path": "templates/backend/rust-actix", "name": "rust-actix", "category": "backend",
+ *  "stage": "syntax", "status": "success"}. Stages without a result file count as skipped.
+ *
+ * @param {string} resultsDir - Directory containing the result JSON files
+ * @param {Array<Object>} templates - Discovered templates with name, category and path (optional)
+ * @returns {Array<Object>} Template results with path, name, category and stages, sorted by path
+ */
+function loadTemplateResults(resultsDir, templates = []) {
+  const results = new Map();
+
+  const getResult = template => {
+    if (!results.has(template.path)) {
+      results.set(template.path, {
+        path: template.path,
+        name: template.name || path.basename(template.path),
+        category: template.category || path.basename(path.dirname(template.path)),
+        stages: Object.fromEntries(TEMPLATE_STAGES.map(stage => [stage.key, 'skip']))
+      });
+    }
+    return results.get(template.path);
+  };
+
+  for (const template of templates) {
+    getResult(template);
+  }
+
+  let files = [];
+  try {
+    files = fs.readdirSync(resultsDir).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    console.warn(`No template results found in ${resultsDir}: ${error.message}`);
+  }
+
+  for (const file of files) {
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+      if (!record.path || !TEMPLATE_STAGES.some(stage => stage.key === record.stage)) {
+        console.warn(`Ignoring unexpected template result file: ${file}`);
+        continue;
+      }
+      getResult(record).stages[record.stage] = normalizeStageStatus(record.status);
+    } catch (error) {
+      console.error(`Failed to read template result file ${file}:`, error.message);
+    }
+  }
+
+  return [...results.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Map a job or step status to a matrix cell status
+ * @param {string} status - Status reported by the workflow ('success', 'failure', 'cancelled', 'skipped', ...)
+ * @returns {string} 'pass', 'fail' or 'skip'
+ */
+function normalizeStageStatus(status) {
+  switch (String(status || '').toLowerCase()) {
+    case 'success':
+    case 'pass':
+      return 'pass';
+    case 'failure':
+    case 'fail':
+      return 'fail';
+    default:
+      return 'skip';
+  }
+}
+
+/**
+ * List the stages a template failed
+ * @param {Object} result - Template result (see loadTemplateResults)
+ * @returns {string[]} Labels of the failed stages
+ */
+function getFailedStages(result) {
+  return TEMPLATE_STAGES
+    .filter(stage => result.stages[stage.key] === 'fail')
+    .map(stage => stage.label);
+}
+
+/**
+ * Render the template × stage matrix
+ * @param {Array<Object>} results - Template results (see loadTemplateResults)
+ * @param {Object} childIssues - Child issue numbers keyed by template path (optional)
+ * @returns {string} Markdown table, failing templates first
+ */
+function renderTemplateMatrix(results, childIssues = {}) {
+  const hasIssues = Object.keys(childIssues).length > 0;
+  const failing = results.filter(result => getFailedStages(result).length > 0);
+  const passing = results.filter(result => getFailedStages(result).length === 0);
+
+  const header = ['Template', 'Category', ...TEMPLATE_STAGES.map(stage => stage.label)];
+  if (hasIssues) header.push('Issue');
+
+  const rows = [...failing, ...passing].map(result => {
+    const cells = [
+      `\`${result.path.replace(/^templates\//, '')}\``,
+      result.category,
+      ...TEMPLATE_STAGES.map(stage => STATUS_ICONS[result.stages[stage.key]])
+    ];
+    if (hasIssues) {
+      cells.push(childIssues[result.path] ? `#${childIssues[result.path].number}` : '-');
+    }
+    return `| ${cells.join(' | ')} |`;
+  });
+
+  return `| ${header.join(' | ')} |
+|${header.map(() => '---').join('|')}|
+${rows.join('\n')}
+
+_${STATUS_ICONS.pass} passed · ${STATUS_ICONS.fail} failed · ${STATUS_ICONS.skip} skipped_`;
+}
+
+module.exports = {
+  TEMPLATE_STAGES,
+  STATUS_ICONS,
+  loadTemplateResults,
+  normalizeStageStatus,
+  getFailedStages,
+  renderTemplateMatrix
+};
@@ -0,0 +1,160 @@
+/**
+ * Terraform Error Classifier
+ *
+ * Recognizes common Terraform and Scaleway failure signatures in error output and
+ * maps them to a cause label and the remediation steps for that cause, so failure
+ * issues only show the advice that applies to the error at hand.
+ */
+
+// Known failure causes, in the order they are reported when several match
+const ERROR_CAUSES = [
+  {
+    key: 'state-lock',
+    label: 'cause:state-lock',
+    title: 'Terraform State Lock Held',
+    patterns: [
+      /Error acquiring the state lock/i,
+      /state (?:is )?locked/i,
+      /ConditionalCheckFailed/,
+      /Lock Info:/
+    ],
+    remediation: [
+      'Check whether another deployment or teardown run for this environment is still in progress and wait for it to finish',
+      'If no run holds the lock, release it with `terraform force-unlock <LOCK_ID>` from the environment directory (the lock ID is shown in the error)',
+      'Re-run the deployment once the lock is released'
+    ]
+  },
+  {
+    key: 'quota',
+    label: 'cause:quota',
+    title: 'Quota Exceeded',
+    patterns: [
+      /quotas?[ _]exceeded/i,
+      /exceeds? (?:the )?quota/i,
+      /insufficient quota/i,
+      /quota (?:limit )?reached/i
+    ],
+    remediation: [
+      'Review the organization quotas in the Scaleway console (Organization → Quotas)',
+      'Tear down unused environments or resources to free capacity',
+      'Request a quota increase from Scaleway support if the environment legitimately needs more resources'
+    ]
+  },
+  {
+    key: 'permission',
+    label: 'cause:permission',
+    title: 'Permission Denied',
+    patterns: [
+      /permissions?[ _]denied/i,
+      /insufficient permissions/i,
+      /\b403 Forbidden\b/i,
+      /(?:status|error|code):? 403\b/i,
+      /AccessDenied/,
+      /not authorized/i
+    ],
+    remediation: [
+      'Verify that the `SCW_ACCESS_KEY` and `SCW_SECRET_KEY` secrets are valid and have not expired',
+      'Check that the API key\'s IAM policy grants the permission sets required for this resource type in the target project',
+      'Confirm `SCW_DEFAULT_PROJECT_ID` points to the project the API key has access to'
+    ]
+  },
+  {
+    key: 'name-conflict',
+    label: 'cause:name-conflict',
+    title: 'Resource Name Conflict',
+    patterns: [
+      /already exists/i,
+      /already in use/i,
+      /name (?:is )?already taken/i,
+      /\b409 Conflict\b/i,
+      /(?:status|error|code):? 409\b/i
+    ],
+    remediation: [
+      'Look for a resource with the same name left over from a previous deployment in the Scaleway console',
+      'Import the existing resource into the Terraform state or remove it with the teardown workflow',
+      'If both resources are needed, give the new one a distinct name in the environment configuration'
+    ]
+  },
+  {
+    key: 'region',
+    label: 'cause:region',
+    title: 'Region or Zone Unavailable',
+    patterns: [
+      /out[ _]of[ _]stock/i,
+      /not available in (?:this|the|that) (?:region|zone)/i,
+      /(?:region|zone) .*is not (?:available|supported)/i,
+      /(?:invalid|unsupported|unknown) (?:region|zone)/i
+    ],
+    remediation: [
+      'Check the Scaleway status page and product availability for the selected region and zone',
+      'Choose another instance or node type that is in stock in this zone',
+      'Re-run the deployment in another region if the resource type is not offered here'
+    ]
+  },
+  {
+    key: 'timeout',
+    label: 'cause:timeout',
+    title: 'Provider Timeout',
+    patterns: [
+      /context deadline exceeded/i,
+      /timeout while waiting/i,
+      /timed out/i,
+      /i\/o timeout/i,
+      /TLS handshake timeout/i,
+      /connection reset by peer/i
+    ],
+    remediation: [
+      'Check the Scaleway status page for incidents affecting the API or the target region',
+      'Check the Scaleway console for resources left half-created by the interrupted apply',
+      'Re-run the deployment; if the timeout recurs for the same resource, raise its `timeouts` block in the Terraform configuration'
+    ]
+  }
+];
+
+/**
+ * Classify Terraform error output into known failure causes
+ * @param {string} errorText - Terraform error output
+ * @returns {Array<Object>} Matching causes with key, label, title, remediation and the first matching line
+ *   as evidence (empty if nothing matches)
+ */
+function classifyTerraformError(errorText) {
+  const lines = stripAnsi(errorText || '').split('\n');
+
+  return ERROR_CAUSES.reduce((matches, cause) => {
+    const evidence = lines.find(line => cause.patterns.some(pattern => pattern.test(line)));
+    if (evidence !== undefined) {
+      const { patterns, ...details } = cause;
+      matches.push({ ...details, evidence: evidence.replace(/^[\s│╷╵]+/, '').trim() });
+    }
+    return matches;
+  }, []);
+}
+
+/**
+ * Extract the error portion of a Terraform log
+ * @param {string} logText - Full Terraform output
+ * @param {number} maxLines - Maximum number of lines to keep
+ * @returns {string} Output from the first error onwards (or the end of the log if there is no error marker)
+ */
+function extractTerraformErrors(logText, maxLines = 200) {
+  const lines = stripAnsi(logText || '').split('\n');
+  const errorStart = lines.findIndex(line => /^[\s│╷]*Error:/.test(line));
+  const relevant = errorStart >= 0 ? lines.slice(errorStart, errorStart + maxLines) : lines.slice(-maxLines);
+  return relevant.join('\n').trim();
+}
+
+/**
+ * Remove terminal color codes from command output
+ * @param {string} text - Command output
+ * @returns {string} Output without ANSI escape sequences
+ */
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+module.exports = {
+  ERROR_CAUSES,
+  classifyTerraformError,
+  extractTerraformErrors,
+  stripAnsi
+};
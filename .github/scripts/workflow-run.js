@@ -0,0 +1,249 @@
+/**
+ * Workflow Run Diagnostics
+ *
+ * Reads the jobs and steps of the current workflow run from the Actions API, so failure
+ * issues can report what actually happened instead of relying on the caller: the status
+ * and duration of each deployment phase, the first step that failed, and the end of that
+ * step's log (trimmed and with secrets redacted). Reading jobs and logs needs the
+ * `actions: read` permission; without it the issue is filed without these details.
+ */
+
+const { githubRequest, paginateRequest } = require('./github-request.js');
+const { redactSecrets } = require('./issue-sanitizer.js');
+const { stripAnsi } = require('./terraform-errors.js');
+
+// How much of the failing step's log is embedded in the issue
+const DEFAULT_LOG_TAIL_LINES = 50;
+const MAX_LOG_TAIL_CHARACTERS = 6000;
+
+// Job conclusions that count as a failed phase or step
+const FAILED_CONCLUSIONS = ['failure', 'timed_out'];
+
+// Log lines start with an ISO 8601 timestamp (e.g. 2024-05-01T10:00:00.1234567Z)
+const LOG_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?/;
+
+/**
+ * Collect phase status and the failing step of the current workflow run
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} options - Diagnostic options
+ * @param {Object} options.phases - Phase names mapped to the job name (or list of job names) that make up
+ *   the phase (optional). A job belongs to a phase when its name, or one of the parts of a reusable
+ *   workflow job name ('Caller / Job'), equals one of the phase's job names.
+ * @param {number} options.runId - Workflow run to inspect (optional, defaults to the current run)
+ * @param {number} options.logLines - Number of log lines to keep from the failing step (optional)
+ * @returns {Promise<Object|null>} { phases, failedStep }, where phases is null without a phase mapping and
+ *   failedStep is null if no step failed; null if the run cannot be inspected
+ */
+async function getRunDiagnostics(github, context, options = {}) {
+  const { phases = null, runId = context.runId, logLines = DEFAULT_LOG_TAIL_LINES } = options;
+
+  if (!runId || !github.rest.actions) {
+    return null;
+  }
+
+  try {
+    const jobs = await paginateRequest(
+      `List jobs of workflow run ${runId}`,
+      github.rest.actions.listJobsForWorkflowRun,
+      { owner: context.repo.owner, repo: context.repo.repo, run_id: runId, filter: 'latest' },
+      { itemsKey: 'jobs' }
+    );
+    console.log(`🔬 Inspected ${jobs.length} jobs of workflow run ${runId}`);
+
+    const failedStep = findFirstFailedStep(jobs);
+    if (failedStep) {
+      failedStep.log = await getStepLogTail(github, context, failedStep, logLines);
+    }
+
+    return {
+      phases: phases ? derivePhaseStatus(jobs, phases) : null,
+      failedStep
+    };
+  } catch (error) {
+    // Missing permissions or an unavailable API must not prevent the issue from being filed
+    console.error(`Failed to inspect workflow run ${runId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Derive the status and duration of each phase from the jobs of a run
+ *
+ * A phase whose jobs were all skipped after an earlier phase failed is reported as not
+ * attempted, matching what the workflows used to write by hand.
+ *
+ * @param {Array<Object>} jobs - Jobs of the run
+ * @param {Object} phases - Phase names mapped to job names (see getRunDiagnostics)
+ * @returns {Array<Object>} Phases in mapping order with name, result ('success', 'failure', 'cancelled',
+ *   'in progress', 'skipped' or 'not attempted (dependency failed)') and duration in seconds (null if
+ *   no job of the phase ran)
+ */
+function derivePhaseStatus(jobs, phases) {
+  let earlierPhaseFailed = false;
+
+  return Object.entries(phases).map(([name, jobNames]) => {
+    const names = Array.isArray(jobNames) ? jobNames : [jobNames];
+    const phaseJobs = jobs.filter(job => job.name.split(' / ').some(part => names.includes(part.trim())));
+    const ranJobs = phaseJobs.filter(job => job.conclusion !== 'skipped' && job.started_at);
+
+    let result;
+    if (phaseJobs.some(job => FAILED_CONCLUSIONS.includes(job.conclusion))) {
+      result = 'failure';
+    } else if (phaseJobs.some(job => job.conclusion === 'cancelled')) {
+      result = 'cancelled';
+    } else if (phaseJobs.some(job => job.status !== 'completed')) {
+      result = 'in progress';
+    } else if (ranJobs.length > 0) {
+      result = 'success';
+    } else {
+      result = earlierPhaseFailed ? 'not attempted (dependency failed)' : 'skipped';
+    }
+    earlierPhaseFailed = earlierPhaseFailed || result === 'failure' || result === 'cancelled';
+
+    return { name, result, duration: getTimeSpan(ranJobs) };
+  });
+}
+
+/**
+ * Find the first failed step of a run, in the order the jobs started
+ * @param {Array<Object>} jobs - Jobs of the run
+ * @returns {Object|null} Failed step with job, jobId, jobUrl, name, number, startedAt, completedAt and
+ *   duration in seconds; null if no step failed
+ */
+function findFirstFailedStep(jobs) {
+  const failedJobs = jobs
+    .filter(job => FAILED_CONCLUSIONS.includes(job.conclusion))
+    .sort((a, b) => (a.started_at || '').localeCompare(b.started_at || ''));
+
+  for (const job of failedJobs) {
+    const step = (job.steps || []).find(candidate => FAILED_CONCLUSIONS.includes(candidate.conclusion));
+    if (step) {
+      return {
+        job: job.name,
+        jobId: job.id,
+        jobUrl: job.html_url,
+        name: step.name,
+        number: step.number,
+        startedAt: step.started_at,
+        completedAt: step.completed_at,
+        duration: getTimeSpan([step])
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Download the log of a failed step's job and keep the end of the step's output
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} failedStep - Failed step (see findFirstFailedStep)
+ * @param {number} maxLines - Maximum number of lines to keep
+ * @returns {Promise<string|null>} Trimmed and redacted log tail (null if the log is unavailable)
+ */
+async function getStepLogTail(github, context, failedStep, maxLines) {
+  try {
+    const response = await githubRequest(
+      `Download log of job ${failedStep.jobId}`,
+      () => github.rest.actions.downloadJobLogsForWorkflowRun({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        job_id: failedStep.jobId
+      })
+    );
+
+    const log = typeof response.data === 'string' ? response.data : Buffer.from(response.data || '').toString('utf8');
+    return trimStepLog(log, failedStep, maxLines) || null;
+  } catch (error) {
+    console.error(`Failed to download log of job ${failedStep.jobId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Cut the output of one step out of a job log and keep its last lines
+ *
+ * Job logs carry a timestamp on every line; the step's lines are those written between
+ * its start and completion. If the timestamps do not line up (e.g. clock rounding) the
+ * end of the whole job log is used instead.
+ *
+ * @param {string} log - Job log
+ * @param {Object} step - Step with startedAt and completedAt
+ * @param {number} maxLines - Maximum number of lines to keep
+ * @returns {string} Log tail without timestamps, color codes or secrets
+ */
+function trimStepLog(log, step, maxLines = DEFAULT_LOG_TAIL_LINES) {
+  const start = Math.floor(Date.parse(step.startedAt) / 1000) * 1000;
+  const end = Math.floor(Date.parse(step.completedAt) / 1000) * 1000 + 999;
+
+  let lineTime = null;
+  const lines = stripAnsi(log).split(/\r?\n/).map(line => {
+    const timestamp = line.match(LOG_TIMESTAMP_PATTERN);
+    if (timestamp) lineTime = Date.parse(timestamp[1]);
+    return { time: lineTime, text: timestamp ? line.slice(timestamp[0].length) : line };
+  });
+
+  const stepLines = lines.filter(line => line.time !== null && line.time >= start && line.time <= end);
+  const tail = (stepLines.length > 0 ? stepLines : lines)
+    .map(line => formatLogLine(line.text))
+    .filter(line => line !== null);
+
+  while (tail.length > 0 && !tail[tail.length - 1].trim()) tail.pop();
+
+  let text = tail.slice(-maxLines).join('\n');
+  if (text.length > MAX_LOG_TAIL_CHARACTERS) {
+    text = text.slice(text.length - MAX_LOG_TAIL_CHARACTERS).replace(/^[^\n]*\n/, '');
+  }
+
+  // Keep the log from closing the code block it is embedded in
+  return redactSecrets(text).replace(/```/g, "'''");
+}
+
+/**
+ * Turn Actions workflow commands in a log line into readable text
+ * @param {string} line - Log line without timestamp
+ * @returns {string|null} Display text (null for lines that only mark groups)
+ */
+function formatLogLine(line) {
+  if (/^##\[endgroup\]/.test(line)) return null;
+  return line
+    .replace(/^##\[group\]/, '')
+    .replace(/^##\[(error|warning|notice)\]/, (match, level) => `${level.charAt(0).toUpperCase()}${level.slice(1)}: `)
+    .replace(/^##\[\w+\]/, '');
+}
+
+/**
+ * Measure the time between the first start and last completion of jobs or steps
+ * @param {Array<Object>} items - Jobs or steps with started_at and completed_at
+ * @returns {number|null} Duration in seconds (null if none has both timestamps)
+ */
+function getTimeSpan(items) {
+  const timed = items.filter(item => item.started_at && item.completed_at);
+  if (timed.length === 0) return null;
+
+  const start = Math.min(...timed.map(item => Date.parse(item.started_at)));
+  const end = Math.max(...timed.map(item => Date.parse(item.completed_at)));
+  return Math.max(0, Math.round((end - start) / 1000));
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string|null} Duration such as '45s', '4m 12s' or '1h 3m' (null if unknown)
+ */
+function formatRunDuration(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+module.exports = {
+  getRunDiagnostics,
+  derivePhaseStatus,
+  findFirstFailedStep,
+  trimStepLog,
+  formatRunDuration
+};
@@ -666,6 +666,57 @@ test_github_actions_syntax() {
     done
 }
 
+test_issue_manager_recurrence_after_ack() {
+    log INFO "Testing that a recurring failure keeps the labels of an acknowledged issue"
+
+    if ! command -v node &> /dev/null; then
+        log WARN "! Node.js not found, test skipped"
+        return 0
+    fi
+
+    # Runs against the in-memory GitHub backend, so no repository or token is needed
+    local output
+    if ! output=$(cd "$PROJECT_ROOT/.github/scripts" && node - 2>&1 <<'NODE'
+const { createMemoryGitHub } = require('./github-memory');
+const { createOrUpdateIssue } = require('./issue-manager');
+
+(async () => {
+  const github = createMemoryGitHub({}, { owner: 'offline', repo: 'repository' });
+  const context = { repo: { owner: 'offline', repo: 'repository' }, runId: 1, serverUrl: 'https://github.com' };
+  const failure = run => ({
+    title: '🚨 Deployment Failed: dev environment',
+    body: 'Terraform apply failed',
+    labels: ['deployment-failure', 'environment:dev'],
+    identity: { kind: 'deployment-failure', environment: 'dev' },
+    occurrence: { workflowRun: `https://github.com/offline/repository/actions/runs/${run}`, commit: 'abc1234', actor: 'tester', failurePoint: 'Apply' },
+    recordOutcome: false
+  });
+
+  const issue = await createOrUpdateIssue(github, context, failure(1));
+  // Acknowledged and escalated by hand after it was filed
+  const labeled = [...issue.labels.map(label => label.name), 'acknowledged', 'critical'];
+  await github.rest.issues.update({ owner: 'offline', repo: 'repository', issue_number: issue.number, labels: labeled });
+
+  const recurred = await createOrUpdateIssue(github, context, failure(2));
+  const labels = recurred.labels.map(label => label.name);
+  const missing = ['acknowledged', 'critical', 'deployment-failure'].filter(label => !labels.includes(label));
+  if (recurred.number !== issue.number || missing.length > 0) {
+    throw new Error(`Issue #${recurred.number} lost labels: ${missing.join(', ')}`);
+  }
+})().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
+NODE
+    ); then
+        log ERROR "✗ Recurring failure dropped labels"
+        echo "$output"
+        return 1
+    fi
+
+    log INFO "✓ Recurring failure keeps the acknowledged and priority labels"
+}
+
 test_integration_environment_lifecycle() {
     if [[ -z "${SCW_ACCESS_KEY:-}" ]]; then
         log WARN "! Integration test skipped - no Scaleway credentials"
@@ -770,6 +821,7 @@ run_workflow_tests() {
     log STEP "Running workflow tests..."
 
     run_test "GitHub Actions Syntax" "test_github_actions_syntax"
+    run_test "Issue Recurrence After Acknowledgement" "test_issue_manager_recurrence_after_ack"
 }
 
 run_integration_tests() {